@@ -7,6 +7,13 @@
 // @match        https://www.perplexity.ai/*
 // @grant        GM_getValue
 // @grant        GM_setValue
+// @grant        GM_xmlhttpRequest
+// @connect      perplexity.ai
+// @connect      pplx-res.cloudinary.com
+// @connect      ppl-ai-file-upload.s3.amazonaws.com
+// @connect      ppl-ai-code-interpreter-files.s3.amazonaws.com
+// @connect      gstatic.com
+// @connect      ytimg.com
 // @run-at       document-idle
 // @license      MIT
 // ==/UserScript==
@@ -28,6 +35,8 @@
     INLINE: "inline",
     PARENTHESIZED: "parenthesized",
     NAMED: "named",
+    PANDOC: "pandoc",
+    CUSTOM: "custom",
     NONE: "none",
   };
 
@@ -37,6 +46,8 @@
     [CITATION_STYLES.INLINE]: "Inline",
     [CITATION_STYLES.PARENTHESIZED]: "Parenthesized",
     [CITATION_STYLES.NAMED]: "Named",
+    [CITATION_STYLES.PANDOC]: "Pandoc",
+    [CITATION_STYLES.CUSTOM]: "Custom",
     [CITATION_STYLES.NONE]: "No Citations",
   };
 
@@ -46,9 +57,69 @@
     [CITATION_STYLES.INLINE]: "[1](url) - Clean inline citations",
     [CITATION_STYLES.PARENTHESIZED]: "([1](url)) - Inline citations in parentheses",
     [CITATION_STYLES.NAMED]: "([wikipedia](url)) - Uses domain names",
+    [CITATION_STYLES.PANDOC]: "[@key] citations with references in the YAML frontmatter for pandoc --citeproc",
+    [CITATION_STYLES.CUSTOM]: "Your own template, e.g. <sup>[{n}]({url})</sup>",
     [CITATION_STYLES.NONE]: "Remove all citations from the text",
   };
 
+  // How entries in the endnotes/footnotes list are written
+  const REFERENCE_FORMATS = {
+    BASIC: "basic", // Title — site — url
+    APA: "apa",
+    MLA: "mla",
+    CHICAGO: "chicago",
+  };
+
+  const REFERENCE_FORMAT_LABELS = {
+    [REFERENCE_FORMATS.BASIC]: "Basic",
+    [REFERENCE_FORMATS.APA]: "APA",
+    [REFERENCE_FORMATS.MLA]: "MLA",
+    [REFERENCE_FORMATS.CHICAGO]: "Chicago",
+  };
+
+  const DEFAULT_CUSTOM_CITATION_TEMPLATE = "[{n}]({url})";
+  // Attribute-free inline tags a custom template may use, kept as HTML in the HTML export
+  const TEMPLATE_INLINE_TAG_PATTERN = /<\/?(?:sup|sub|small|mark|kbd|u|br)>/;
+
+  // Longest snippet quoted under a Sources entry before it is cut at a word boundary
+  const SNIPPET_QUOTE_MAX_LENGTH = 280;
+
+  const CITATION_SCOPES = {
+    GLOBAL: "global", // One numbering and Sources list for the whole thread
+    PER_TURN: "per_turn", // Each answer restarts at 1 with its own Sources list
+  };
+
+  const CITATION_SCOPE_LABELS = {
+    [CITATION_SCOPES.GLOBAL]: "Whole Thread",
+    [CITATION_SCOPES.PER_TURN]: "Per Answer",
+  };
+
+  // How the endnotes Sources list is laid out
+  const SOURCES_GROUPINGS = {
+    FLAT: "flat",
+    DOMAIN: "domain", // Under a heading per site
+    TURN: "turn", // Under the question whose answer first cites them
+  };
+
+  const SOURCES_GROUPING_LABELS = {
+    [SOURCES_GROUPINGS.FLAT]: "Flat List",
+    [SOURCES_GROUPINGS.DOMAIN]: "By Domain",
+    [SOURCES_GROUPINGS.TURN]: "By Question",
+  };
+
+  // Where sources Perplexity consulted but never cited are listed
+  const ADDITIONAL_SOURCES_MODES = {
+    OFF: "off",
+    PER_TURN: "per_turn", // Beneath each answer; anything not tied to an answer goes at the end
+    DOCUMENT: "document", // One list at the end
+  };
+
+  const ADDITIONAL_SOURCES_MODE_LABELS = {
+    [ADDITIONAL_SOURCES_MODES.OFF]: "Off",
+    [ADDITIONAL_SOURCES_MODES.PER_TURN]: "Per Answer",
+    [ADDITIONAL_SOURCES_MODES.DOCUMENT]: "End of Document",
+  };
+
   const FORMAT_STYLES = {
     FULL: "full", // Include User/Assistant tags and all dividers
     CONCISE: "concise", // Just content, minimal dividers
@@ -62,29 +133,156 @@
   const EXPORT_METHODS = {
     DOWNLOAD: "download",
     CLIPBOARD: "clipboard",
+    BUNDLE: "bundle", // Zip of the export plus the images, tables and files it links to
   };
 
   const EXPORT_METHOD_LABELS = {
     [EXPORT_METHODS.DOWNLOAD]: "Download File",
     [EXPORT_METHODS.CLIPBOARD]: "Copy to Clipboard",
+    [EXPORT_METHODS.BUNDLE]: "Bundle (.zip)",
   };
 
   const EXTRACTION_METHODS = {
     DIRECT_DOM: "direct_dom",
     EXPORT: "export",
     COPY_BUTTONS: "copy_buttons",
+    THREAD_STATE: "thread_state",
   };
 
+  const OUTPUT_FORMATS = {
+    MARKDOWN: "markdown",
+    HTML: "html",
+    JSON: "json",
+    BIBTEX: "bibtex",
+    CSL_JSON: "csl_json",
+  };
+
+  const OUTPUT_FORMAT_LABELS = {
+    [OUTPUT_FORMATS.MARKDOWN]: "Markdown",
+    [OUTPUT_FORMATS.HTML]: "HTML",
+    [OUTPUT_FORMATS.JSON]: "JSON",
+    [OUTPUT_FORMATS.BIBTEX]: "BibTeX",
+    [OUTPUT_FORMATS.CSL_JSON]: "CSL-JSON",
+  };
+
+  // File extension and MIME type used when downloading each output format
+  const OUTPUT_FORMAT_FILES = {
+    [OUTPUT_FORMATS.MARKDOWN]: { extension: "md", mimeType: "text/markdown" },
+    [OUTPUT_FORMATS.HTML]: { extension: "html", mimeType: "text/html" },
+    [OUTPUT_FORMATS.JSON]: { extension: "json", mimeType: "application/json" },
+    [OUTPUT_FORMATS.BIBTEX]: { extension: "bib", mimeType: "application/x-bibtex" },
+    [OUTPUT_FORMATS.CSL_JSON]: { extension: "csl.json", mimeType: "application/vnd.citationstyles.csl+json" },
+  };
+
+  // Answer tables saved as spreadsheet files alongside the export
+  const TABLE_FILE_FORMATS = {
+    OFF: "off",
+    CSV: "csv",
+    TSV: "tsv",
+  };
+
+  const TABLE_FILE_FORMAT_LABELS = {
+    [TABLE_FILE_FORMATS.OFF]: "Off",
+    [TABLE_FILE_FORMATS.CSV]: "CSV",
+    [TABLE_FILE_FORMATS.TSV]: "TSV",
+  };
+
+  // How images in answers are exported
+  const IMAGE_MODES = {
+    OFF: "off",
+    LINK: "link",
+    EMBED: "embed", // Fetched and inlined as data URIs
+  };
+
+  const IMAGE_MODE_LABELS = {
+    [IMAGE_MODES.OFF]: "Leave Out",
+    [IMAGE_MODES.LINK]: "Link",
+    [IMAGE_MODES.EMBED]: "Embed",
+  };
+
+  // Larger images stay linked rather than bloating the export
+  const IMAGE_EMBED_MAX_BYTES = 5 * 1024 * 1024;
+  const IMAGE_FETCH_TIMEOUT_MS = 15000;
+
+  // Files Perplexity hosts for a thread (uploads, code and data it generated) are copied into bundles
+  const BUNDLE_FILE_URL_PATTERN = /^https:\/\/(?:ppl-ai-file-upload|ppl-ai-code-interpreter-files)\.s3\.amazonaws\.com\//i;
+  const BUNDLE_FILE_MAX_BYTES = 50 * 1024 * 1024;
+
+  const IMAGE_FILE_EXTENSIONS = {
+    "image/png": "png",
+    "image/jpeg": "jpg",
+    "image/gif": "gif",
+    "image/webp": "webp",
+    "image/avif": "avif",
+    "image/svg+xml": "svg",
+  };
+
+  // Favicons and UI icons are drawn at or below this size
+  const IMAGE_ICON_MAX_SIZE = 32;
+
+  const MARKDOWN_IMAGE_PATTERN = /!\[((?:\\.|[^\]\\\n])*)\]\(([^()\s]+)\)/g;
+
+  const TABLE_FILE_TYPES = {
+    [TABLE_FILE_FORMATS.CSV]: { extension: "csv", mimeType: "text/csv", delimiter: "," },
+    [TABLE_FILE_FORMATS.TSV]: { extension: "tsv", mimeType: "text/tab-separated-values", delimiter: "\t" },
+  };
+
+  // Bump when the JSON export shape changes in a way consumers need to know about
+  const JSON_EXPORT_SCHEMA_VERSION = 1;
+
+
+  // Query params that only identify a campaign or click and never change the page itself
+  const TRACKING_PARAMS = new Set([
+    "fbclid", "gclid", "gclsrc", "dclid", "gbraid", "wbraid", "msclkid", "yclid", "twclid", "ttclid",
+    "li_fat_id", "igshid", "igsh", "mc_cid", "mc_eid", "_hsenc", "_hsmi", "_ga", "_gl", "mkt_tok",
+    "oly_enc_id", "oly_anon_id", "vero_id", "wickedid", "srsltid", "ref_src", "ref_url", "cmpid", "s_cid", "spm", "amp",
+  ]);
+  const TRACKING_PARAM_PREFIXES = ["utm_", "pk_", "mtm_", "hsa_"];
+
+  // Public suffixes with more than one label, a curated slice of the Public Suffix List
+  // (ICANN country second levels plus common hosting platforms where each subdomain is a separate site)
+  const MULTI_LABEL_PUBLIC_SUFFIXES = new Set([
+    "co.uk", "org.uk", "ac.uk", "gov.uk", "ltd.uk", "plc.uk", "me.uk", "net.uk", "sch.uk", "nhs.uk", "police.uk",
+    "com.au", "net.au", "org.au", "edu.au", "gov.au", "asn.au", "id.au",
+    "co.nz", "org.nz", "net.nz", "ac.nz", "govt.nz", "geek.nz",
+    "co.jp", "ne.jp", "or.jp", "ac.jp", "go.jp", "ed.jp", "gr.jp", "lg.jp",
+    "co.kr", "or.kr", "ac.kr", "go.kr", "ne.kr", "re.kr",
+    "com.cn", "net.cn", "org.cn", "edu.cn", "gov.cn", "ac.cn",
+    "com.hk", "org.hk", "edu.hk", "gov.hk", "com.tw", "org.tw", "edu.tw", "gov.tw",
+    "com.sg", "org.sg", "edu.sg", "gov.sg", "com.my", "org.my", "edu.my", "gov.my",
+    "co.in", "net.in", "org.in", "ac.in", "gov.in", "nic.in", "res.in", "edu.in",
+    "co.id", "or.id", "ac.id", "go.id", "com.ph", "edu.ph", "gov.ph", "com.vn", "edu.vn", "gov.vn",
+    "com.pk", "edu.pk", "gov.pk", "com.sa", "edu.sa", "gov.sa", "co.il", "org.il", "ac.il", "gov.il",
+    "com.tr", "org.tr", "edu.tr", "gov.tr", "com.ua", "org.ua", "gov.ua", "com.eg", "edu.eg", "gov.eg",
+    "co.za", "org.za", "ac.za", "gov.za", "co.ke", "or.ke", "ac.ke", "com.ng", "edu.ng", "gov.ng",
+    "com.br", "net.br", "org.br", "gov.br", "edu.br", "com.mx", "org.mx", "edu.mx", "gob.mx",
+    "com.ar", "org.ar", "edu.ar", "gob.ar", "com.co", "edu.co", "gov.co", "com.pe", "edu.pe", "gob.pe",
+    "com.es", "org.es", "gob.es", "co.at", "or.at", "ac.at", "gv.at", "com.pl", "org.pl", "edu.pl", "gov.pl",
+    "github.io", "gitlab.io", "pages.dev", "workers.dev", "vercel.app", "netlify.app", "web.app", "firebaseapp.com",
+    "herokuapp.com", "appspot.com", "blogspot.com", "azurewebsites.net", "cloudfront.net", "readthedocs.io",
+    "s3.amazonaws.com", "fly.dev", "glitch.me", "neocities.org",
+  ]);
+
+  // Source metadata fields captured from Perplexity's web results
+  const SOURCE_METADATA_FIELDS = ["title", "siteName", "snippet", "publishedDate", "author", "thumbnail", "duration"];
 
   // Global citation tracking for consistent numbering across all responses
   const globalCitations = {
     urlToNumber: new Map(), // normalized URL -> citation number
-    citationRefs: new Map(), // citation number -> {href, sourceName, normalizedUrl}
+    citationRefs: new Map(), // citation number -> {href, sourceName, normalizedUrl, title, siteName, snippet, publishedDate, author}
+    sourceMetadata: new Map(), // normalized URL -> metadata seen before (or after) the URL was cited
+    consulted: new Map(), // normalized URL -> href for every source in Perplexity's webResults, cited or not
+    siteLabels: new Map(), // site hostname -> Named-style label
+    labelSites: new Map(), // lowercased label -> site hostname
     nextCitationNumber: 1,
 
     reset() {
       this.urlToNumber.clear();
       this.citationRefs.clear();
+      this.sourceMetadata.clear();
+      this.consulted.clear();
+      this.siteLabels.clear();
+      this.labelSites.clear();
       this.nextCitationNumber = 1;
     },
 
@@ -93,15 +291,92 @@
       if (!this.urlToNumber.has(normalizedUrl)) {
         this.urlToNumber.set(normalizedUrl, this.nextCitationNumber);
         this.citationRefs.set(this.nextCitationNumber, {
-          href: url,
+          href: getCitationLink(url),
           sourceName,
           normalizedUrl,
+          ...this.sourceMetadata.get(normalizedUrl),
         });
         this.nextCitationNumber++;
       }
       return this.urlToNumber.get(normalizedUrl);
     },
 
+    // Remember title/site/snippet/date for a URL; fills gaps only, never overwrites
+    recordMetadata(url, metadata) {
+      const normalizedUrl = normalizeUrl(url);
+      if (!normalizedUrl || !metadata) return;
+
+      const known = this.sourceMetadata.get(normalizedUrl) || {};
+      for (const field of SOURCE_METADATA_FIELDS) {
+        if (metadata[field] && !known[field]) known[field] = metadata[field];
+      }
+      this.sourceMetadata.set(normalizedUrl, known);
+
+      const number = this.urlToNumber.get(normalizedUrl);
+      const ref = number && this.citationRefs.get(number);
+      if (ref) {
+        for (const field of SOURCE_METADATA_FIELDS) {
+          if (known[field] && !ref[field]) ref[field] = known[field];
+        }
+      }
+    },
+
+    recordWebResults(webResults) {
+      if (!Array.isArray(webResults)) return;
+      for (const wr of webResults) {
+        if (!wr?.url) continue;
+        this.recordMetadata(wr.url, readWebResultMetadata(wr));
+        const normalizedUrl = normalizeUrl(wr.url);
+        if (!this.consulted.has(normalizedUrl)) this.consulted.set(normalizedUrl, wr.url);
+      }
+    },
+
+    // Stable key for BibTeX/CSL-JSON/Pandoc, assigned on first use and reused for the rest of the export
+    getCitationKey(number) {
+      const ref = this.citationRefs.get(number);
+      if (!ref) return null;
+      if (!ref.citationKey) {
+        const taken = new Set();
+        for (const other of this.citationRefs.values()) {
+          if (other.citationKey) taken.add(other.citationKey);
+        }
+        const base = buildCitationKeyBase(ref);
+        let key = base;
+        for (let i = 0; taken.has(key); i++) {
+          key = `${base}${String.fromCharCode(97 + (i % 26))}${i >= 26 ? Math.floor(i / 26) : ""}`;
+        }
+        ref.citationKey = key;
+      }
+      return ref.citationKey;
+    },
+
+    // Named-style label for a cited site: Perplexity's site name, then its citation chip label, then the
+    // domain. A label already taken by another site falls back to the hostname, so within one export a
+    // label always means one site.
+    getSiteLabel({ number, url, name }) {
+      const link = url || this.citationRefs.get(number)?.href;
+      const normalizedUrl = normalizeUrl(link);
+      let site;
+      try {
+        site = new URL(normalizedUrl).hostname;
+      } catch (e) {
+        return name || "source";
+      }
+      if (this.siteLabels.has(site)) return this.siteLabels.get(site);
+
+      const siteName = this.citationRefs.get(number)?.siteName || this.sourceMetadata.get(normalizedUrl)?.siteName;
+      const candidates = [siteName, extractSourceName(name || ""), extractDomainName(normalizedUrl), site];
+      const label =
+        candidates.find((candidate) => {
+          if (!candidate) return false;
+          const owner = this.labelSites.get(candidate.toLowerCase());
+          return !owner || owner === site;
+        }) || site;
+      this.siteLabels.set(site, label);
+      this.labelSites.set(label.toLowerCase(), site);
+      return label;
+    },
+
     getCitationNumber(url) {
       const normalizedUrl = normalizeUrl(url);
       return this.urlToNumber.get(normalizedUrl);
@@ -111,6 +386,8 @@
       return {
         urlToNumber: new Map(this.urlToNumber),
         citationRefs: new Map(this.citationRefs),
+        sourceMetadata: new Map(this.sourceMetadata),
+        consulted: new Map(this.consulted),
         nextCitationNumber: this.nextCitationNumber,
       };
     },
@@ -118,20 +395,142 @@
     restore(state) {
       this.urlToNumber = new Map(state.urlToNumber);
       this.citationRefs = new Map(state.citationRefs);
+      this.sourceMetadata = new Map(state.sourceMetadata);
+      this.consulted = new Map(state.consulted);
       this.nextCitationNumber = state.nextCitationNumber;
     },
 
+    // Fold a saved registry back in. Its numbers may collide with ones assigned since, so sources
+    // new to this registry get fresh numbers; returns saved number -> current number.
     merge(state) {
+      const numberMap = new Map();
       for (const [url, num] of state.urlToNumber) {
         if (!this.urlToNumber.has(url)) {
-          this.urlToNumber.set(url, num);
-          this.citationRefs.set(num, state.citationRefs.get(num));
-          if (num >= this.nextCitationNumber) this.nextCitationNumber = num + 1;
+          this.urlToNumber.set(url, this.nextCitationNumber);
+          this.citationRefs.set(this.nextCitationNumber, state.citationRefs.get(num));
+          this.nextCitationNumber++;
         }
+        numberMap.set(num, this.urlToNumber.get(url));
+      }
+      for (const [url, metadata] of state.sourceMetadata) {
+        this.recordMetadata(url, metadata);
+      }
+      for (const [url, href] of state.consulted) {
+        if (!this.consulted.has(url)) this.consulted.set(url, href);
+      }
+      return numberMap;
+    },
+  };
+
+  // Citation runs are emitted as placeholder markers during extraction and only
+  // rendered once the whole document is assembled, so numbering can depend on layout
+  const citationMarkers = {
+    runs: [], // marker id -> [{ number, url, name }]
+    runIds: new Map(), // run key -> marker id
+    consultedLists: [], // consulted marker id -> URLs an answer consulted
+    consultedIds: new Map(), // URL list key -> consulted marker id
+    templateRuns: new Set(), // custom-template citation text with inline tags, which the HTML export keeps as HTML
+
+    reset() {
+      this.runs = [];
+      this.runIds.clear();
+      this.consultedLists = [];
+      this.consultedIds.clear();
+      this.templateRuns.clear();
+    },
+
+    // Identical runs share an id so re-extracting the same answer yields identical text (the DOM scan dedupes on it)
+    create(entries) {
+      const key = JSON.stringify(entries.map(({ number, url, name }) => [number, url || "", name || ""]));
+      if (!this.runIds.has(key)) {
+        this.runs.push(entries);
+        this.runIds.set(key, this.runs.length - 1);
+      }
+      return `\uE000${this.runIds.get(key)}\uE001`;
+    },
+
+    get(id) {
+      return this.runs[id] || [];
+    },
+
+    // Tags an answer with the sources it consulted; rendered as nothing, collected for "Additional Sources"
+    createConsulted(urls) {
+      const key = urls.join("\n");
+      if (!this.consultedIds.has(key)) {
+        this.consultedLists.push(urls);
+        this.consultedIds.set(key, this.consultedLists.length - 1);
+      }
+      return `\uE002${this.consultedIds.get(key)}\uE003`;
+    },
+
+    getConsulted(id) {
+      return this.consultedLists[id] || [];
+    },
+
+    // Point runs created before `count` at renumbered citations (see globalCitations.merge)
+    remap(numberMap, count) {
+      for (let id = 0; id < count; id++) {
+        this.runs[id] = this.runs[id].map((entry) => ({ ...entry, number: numberMap.get(entry.number) ?? entry.number }));
       }
+      this.runIds.clear();
     },
   };
 
+  // Answer tables as plain-text rows for the CSV/TSV files; a table's marker renders as a link to its file
+  const tableMarkers = {
+    tables: [], // marker id -> rows of cell text
+    tableIds: new Map(), // rows key -> marker id
+    fileNumbers: new Map(), // marker id -> table number, in the order links are rendered
+    baseName: null, // export filename without extension; null when no table files are written
+    format: null,
+    directory: "", // folder the files are linked under, e.g. "tables/" inside a bundle
+
+    reset({ baseName = null, format = null, directory = "" } = {}) {
+      this.tables = [];
+      this.tableIds.clear();
+      this.fileNumbers.clear();
+      this.baseName = baseName;
+      this.format = format;
+      this.directory = directory;
+    },
+
+    // Same content-addressed ids as citation markers, so a re-extracted answer is still deduped
+    create(rows) {
+      const key = JSON.stringify(rows);
+      if (!this.tableIds.has(key)) {
+        this.tables.push(rows);
+        this.tableIds.set(key, this.tables.length - 1);
+      }
+      return `\uE004${this.tableIds.get(key)}\uE005`;
+    },
+
+    fileName(id) {
+      return `${this.directory}${this.baseName}-table-${this.fileNumbers.get(id)}.${TABLE_FILE_TYPES[this.format].extension}`;
+    },
+
+    render(id) {
+      if (!this.baseName || !TABLE_FILE_TYPES[this.format] || !this.tables[id]) return "";
+      if (!this.fileNumbers.has(id)) this.fileNumbers.set(id, this.fileNumbers.size + 1);
+      return `[Table ${this.fileNumbers.get(id)} (${TABLE_FILE_FORMAT_LABELS[this.format]})](${encodeURI(this.fileName(id))})`;
+    },
+
+    // Files for every table linked from the export
+    files() {
+      const { mimeType, delimiter } = TABLE_FILE_TYPES[this.format] || {};
+      return [...this.fileNumbers.keys()].map((id) => ({
+        name: this.fileName(id),
+        // The byte-order mark makes Excel read UTF-8 CSV correctly
+        content: `${this.format === TABLE_FILE_FORMATS.CSV ? "\uFEFF" : ""}${formatDelimitedTable(this.tables[id], delimiter)}`,
+        mimeType,
+      }));
+    },
+  };
+
+  const CITATION_MARKER_PATTERN = /\uE000(\d+)\uE001/g;
+  const CONSULTED_MARKER_PATTERN = /\uE002(\d+)\uE003/g;
+  // Captures the line breaks around the marker so they can be merged when no link is rendered
+  const TABLE_MARKER_PATTERN = /(\n*)\uE004(\d+)\uE005(\n*)/g;
+
   // ============================================================================
   // UTILITY FUNCTIONS
   // ============================================================================
@@ -140,12 +539,28 @@
   function getPreferences() {
     return {
       citationStyle: GM_getValue("citationStyle", CITATION_STYLES.PARENTHESIZED),
+      referenceFormat: GM_getValue("referenceFormat", REFERENCE_FORMATS.BASIC),
+      customCitationTemplate: GM_getValue("customCitationTemplate", DEFAULT_CUSTOM_CITATION_TEMPLATE),
+      customCitationJoiner: GM_getValue("customCitationJoiner", ""),
+      citationScope: GM_getValue("citationScope", CITATION_SCOPES.GLOBAL),
+      stripTrackingParams: GM_getValue("stripTrackingParams", false),
+      keepUrlParams: GM_getValue("keepUrlParams", ""),
+      additionalSources: GM_getValue("additionalSources", ADDITIONAL_SOURCES_MODES.OFF),
+      includeSnippets: GM_getValue("includeSnippets", false),
+      textFragmentLinks: GM_getValue("textFragmentLinks", false),
+      archiveLinks: GM_getValue("archiveLinks", false),
+      videoThumbnails: GM_getValue("videoThumbnails", false),
+      includeCitationStats: GM_getValue("includeCitationStats", false),
+      sourcesGrouping: GM_getValue("sourcesGrouping", SOURCES_GROUPINGS.FLAT),
       formatStyle: GM_getValue("formatStyle", FORMAT_STYLES.FULL),
       addExtraNewlines: GM_getValue("addExtraNewlines", true),
       exportMethod: GM_getValue("exportMethod", EXPORT_METHODS.DOWNLOAD),
       includeFrontmatter: GM_getValue("includeFrontmatter", true),
       titleAsH1: GM_getValue("titleAsH1", false),
       extractionMethod: GM_getValue("extractionMethod", EXTRACTION_METHODS.DIRECT_DOM),
+      outputFormat: GM_getValue("outputFormat", OUTPUT_FORMATS.MARKDOWN),
+      tableFiles: GM_getValue("tableFiles", TABLE_FILE_FORMATS.OFF),
+      imageMode: GM_getValue("imageMode", IMAGE_MODES.LINK),
     };
   }
 
@@ -171,14 +586,191 @@
     return null;
   }
 
-  // Normalize URL by removing fragments (#) to group same page citations
+  // Seconds from a video timestamp as sites write it: "90", "90s", "1m30s", "1h2m3s" or "1:30"
+  function parseVideoTimestamp(value) {
+    if (!value) return null;
+    const text = String(value).trim().toLowerCase();
+    let seconds = null;
+    if (/^\d+(?:\.\d+)?s?$/.test(text)) {
+      seconds = Math.floor(parseFloat(text));
+    } else if (/^(?:\d+h)?(?:\d+m)?(?:\d+s)?$/.test(text)) {
+      const [, h = 0, m = 0, sec = 0] = text.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+      seconds = Number(h) * 3600 + Number(m) * 60 + Number(sec);
+    } else if (/^\d+(?::\d{1,2}){1,2}$/.test(text)) {
+      seconds = text.split(":").reduce((total, part) => total * 60 + Number(part), 0);
+    }
+    return seconds > 0 ? seconds : null;
+  }
+
+  // "1:05" or "1:02:05"
+  function formatVideoTimestamp(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const sec = String(seconds % 60).padStart(2, "0");
+    return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${sec}` : `${m}:${sec}`;
+  }
+
+  // Recognize a link to a video: { platform, id, start (seconds or null), url, thumbnail }.
+  // `url` is the video's watch page at the linked timestamp, the same for every form of link to it
+  // (youtu.be, /watch, /shorts, embeds…); `thumbnail` is null where the platform has no stable image URL
+  function parseVideoUrl(url) {
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch (e) {
+      return null;
+    }
+    const host = urlObj.hostname.toLowerCase().replace(/^(?:www|m|music|player)\./, "");
+    const params = urlObj.searchParams;
+    const hashTime = urlObj.hash.match(/[#&]t=([^&]+)/)?.[1];
+    const start = parseVideoTimestamp(params.get("t") || params.get("start") || params.get("time_continue") || hashTime);
+    const video = (platform, id, watchUrl, thumbnail = null) => ({ platform, id, start, url: watchUrl, thumbnail });
+    let match;
+
+    if (host === "youtu.be" && (match = urlObj.pathname.match(/^\/([\w-]{11})/))) {
+      match = [null, match[1]];
+    } else if (/^youtube(?:-nocookie)?\.com$/.test(host)) {
+      match = urlObj.pathname === "/watch" ? [null, params.get("v")] : urlObj.pathname.match(/^\/(?:shorts|embed|live|v)\/([\w-]{11})/);
+    } else {
+      match = null;
+    }
+    if (match?.[1] && /^[\w-]{11}$/.test(match[1])) {
+      const id = match[1];
+      return video("YouTube", id, `https://www.youtube.com/watch?v=${id}${start ? `&t=${start}` : ""}`, `https://i.ytimg.com/vi/${id}/hqdefault.jpg`);
+    }
+
+    if (host === "vimeo.com" && (match = urlObj.pathname.match(/^\/(?:video\/|channels\/[^/]+\/|groups\/[^/]+\/videos\/)?(\d+)(?:\/|$)/))) {
+      return video("Vimeo", match[1], `https://vimeo.com/${match[1]}${start ? `#t=${start}s` : ""}`);
+    }
+    if ((host === "dailymotion.com" && (match = urlObj.pathname.match(/^\/(?:embed\/)?video\/([a-z0-9]+)/i))) || (host === "dai.ly" && (match = urlObj.pathname.match(/^\/([a-z0-9]+)/i)))) {
+      return video("Dailymotion", match[1], `https://www.dailymotion.com/video/${match[1]}${start ? `?start=${start}` : ""}`, `https://www.dailymotion.com/thumbnail/video/${match[1]}`);
+    }
+    if (host === "tiktok.com" && (match = urlObj.pathname.match(/^\/@[^/]+\/video\/(\d+)/))) {
+      return video("TikTok", match[1], `https://www.tiktok.com${match[0]}`);
+    }
+    return null;
+  }
+
+  // Preferences for the export in progress. Citation and source helpers run once per link, so they read
+  // this snapshot rather than GM storage every time; cleared when an export starts
+  let exportPreferences = null;
+
+  function getExportPreferences() {
+    if (!exportPreferences) {
+      const prefs = getPreferences();
+      // Params the user wants kept even when they look like tracking (comma or space separated setting)
+      const keptUrlParams = new Set(
+        prefs.keepUrlParams
+          .split(/[\s,]+/)
+          .map((param) => param.toLowerCase())
+          .filter(Boolean)
+      );
+      exportPreferences = { ...prefs, keptUrlParams };
+    }
+    return exportPreferences;
+  }
+
+  function resetExportPreferences() {
+    exportPreferences = null;
+  }
+
+  function removeTrackingParams(urlObj, keptParams) {
+    for (const name of [...urlObj.searchParams.keys()]) {
+      const key = name.toLowerCase();
+      if (keptParams.has(key)) continue;
+      if (TRACKING_PARAMS.has(key) || TRACKING_PARAM_PREFIXES.some((prefix) => key.startsWith(prefix))) {
+        urlObj.searchParams.delete(name);
+      }
+    }
+  }
+
+  // Link as cited minus tracking params; untouched when there are none so encoding is preserved
+  function stripTrackingParams(url) {
+    try {
+      const urlObj = new URL(url);
+      const search = urlObj.search;
+      removeTrackingParams(urlObj, getExportPreferences().keptUrlParams);
+      return urlObj.search === search ? url : urlObj.toString();
+    } catch (e) {
+      return url;
+    }
+  }
+
+  // Link written into the export for a cited URL
+  function getCitationLink(url) {
+    return url && getExportPreferences().stripTrackingParams ? stripTrackingParams(url) : url;
+  }
+
+  // Text fragment directive (":~:text=") for the passage a snippet quotes: its longest stretch between
+  // elisions, as a start,end range when long so small differences mid-passage don't break the match
+  function buildTextFragment(snippet) {
+    const [passage] = (snippet || "")
+      .split(/\.{3}|…/)
+      .map((part) => part.replace(/\s+/g, " ").trim().replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ""))
+      .sort((a, b) => b.length - a.length);
+    const words = passage ? passage.split(" ") : [];
+    // A couple of words would match too much of the page to be useful
+    if (words.length < 3) return "";
+
+    // "-" and "," are directive syntax; parentheses would end a Markdown link
+    const encode = (text) => encodeURIComponent(text).replace(/[-()!'*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    const directive = words.length > 8 ? `${encode(words.slice(0, 4).join(" "))},${encode(words.slice(-4).join(" "))}` : encode(passage);
+    return `:~:text=${directive}`;
+  }
+
+  // Link that jumps to the cited passage when text-fragment links are on. Applied only to emitted
+  // links; normalizeUrl drops fragments, so deduplication still works on the base URL.
+  function getDeepLink(url, snippet) {
+    if (!url || !getExportPreferences().textFragmentLinks || url.includes(":~:")) return url;
+    const fragment = buildTextFragment(snippet);
+    if (!fragment) return url;
+    return url.includes("#") ? `${url}${fragment}` : `${url}#${fragment}`;
+  }
+
+  // Google's AMP viewer and cache wrap the publisher URL in their own path
+  function unwrapAmpCacheUrl(urlObj) {
+    let match = null;
+    if (/(^|\.)google\.[a-z.]+$/.test(urlObj.hostname)) {
+      match = urlObj.pathname.match(/^\/amp\/(s\/)?(.+)$/);
+    } else if (urlObj.hostname.endsWith(".cdn.ampproject.org")) {
+      match = urlObj.pathname.match(/^\/[a-z]\/(s\/)?(.+)$/);
+    }
+    if (!match) return urlObj;
+
+    try {
+      return new URL(`${match[1] ? "https" : "http"}://${match[2]}${urlObj.search}`);
+    } catch (e) {
+      return urlObj;
+    }
+  }
+
+  // Drop the www/AMP prefix and any mobile label (en.m.wikipedia.org -> en.wikipedia.org), but only
+  // below the registrable domain, so m.co.uk stays m.co.uk
+  function foldMobileHostname(hostname) {
+    const registrable = getRegistrableDomain(hostname);
+    if (hostname.length <= registrable.length) return hostname;
+    const labels = hostname.slice(0, -(registrable.length + 1)).split(".");
+    const kept = labels.filter((label, i) => !(label === "m" || label === "mobile" || (i === 0 && (label === "www" || label === "amp"))));
+    return [...kept, registrable].join(".");
+  }
+
+  // Canonical key used to deduplicate citations: the same page cited through a mobile/AMP host,
+  // with tracking params, over http or with a trailing slash gets one number. Never written as a link.
   function normalizeUrl(url) {
     if (!url) return null;
 
+    // Every form of link to one video (and timestamp) is one source
+    const video = parseVideoUrl(url);
+    if (video) return video.url.replace("://www.", "://");
+
     try {
-      const urlObj = new URL(url);
-      // Remove the fragment (hash) portion
+      const urlObj = unwrapAmpCacheUrl(new URL(url));
       urlObj.hash = "";
+      if (urlObj.protocol === "http:") urlObj.protocol = "https:";
+      urlObj.hostname = foldMobileHostname(urlObj.hostname);
+      removeTrackingParams(urlObj, getExportPreferences().keptUrlParams);
+      urlObj.searchParams.sort();
+      if (urlObj.pathname.length > 1) urlObj.pathname = urlObj.pathname.replace(/\/+$/, "");
       return urlObj.toString();
     } catch (e) {
       // If URL parsing fails, just remove # manually
@@ -186,32 +778,641 @@
     }
   }
 
-  // Extract domain name from URL for named citations
+  // Registrable domain ("eTLD+1") of a hostname, e.g. news.bbc.co.uk -> bbc.co.uk, alice.github.io -> alice.github.io
+  function getRegistrableDomain(hostname) {
+    const host = hostname.toLowerCase().replace(/\.$/, "");
+    // IP addresses have no registrable domain
+    if (/^[\d.]+$/.test(host) || host.includes(":")) return host;
+
+    const labels = host.split(".");
+    for (const size of [3, 2]) {
+      if (labels.length > size && MULTI_LABEL_PUBLIC_SUFFIXES.has(labels.slice(-size).join("."))) {
+        return labels.slice(-(size + 1)).join(".");
+      }
+    }
+    return labels.slice(-2).join(".");
+  }
+
+  // Extract domain name from URL for named citations (bbc.co.uk -> bbc, docs.python.org -> python)
   function extractDomainName(url) {
     if (!url) return null;
 
     try {
-      const urlObj = new URL(url);
-      let domain = urlObj.hostname.toLowerCase();
+      const registrable = getRegistrableDomain(new URL(url).hostname);
+      return /^[\d.]+$/.test(registrable) ? registrable : registrable.split(".")[0];
+    } catch (e) {
+      return null;
+    }
+  }
 
-      // Remove www. prefix
-      domain = domain.replace(/^www\./, "");
+  // Pull display metadata out of a Perplexity webResults entry (field names vary between page versions)
+  function readWebResultMetadata(wr) {
+    if (!wr) return null;
+    const meta = wr.meta_data || wr.metadata || {};
+    const clean = (value) => (typeof value === "string" ? value.replace(/\s+/g, " ").trim() : "") || null;
 
-      // Get the main domain part (before first dot for common cases)
-      const parts = domain.split(".");
-      if (parts.length >= 2) {
-        // Handle special cases like co.uk, github.io, etc.
-        if (parts[parts.length - 2].length <= 3 && parts.length > 2) {
-          return parts[parts.length - 3];
-        } else {
-          return parts[parts.length - 2];
+    return {
+      title: clean(wr.name) || clean(wr.title) || clean(meta.title),
+      siteName: clean(wr.site_name) || clean(wr.siteName) || clean(meta.site_name) || clean(meta.siteName) || clean(wr.source_name),
+      snippet: clean(wr.snippet) || clean(meta.description) || clean(wr.description),
+      publishedDate: clean(wr.timestamp) || clean(wr.date) || clean(meta.published_date) || clean(meta.date) || clean(wr.published_date),
+      author: clean(meta.author) || clean(wr.author) || (Array.isArray(meta.authors) ? clean(meta.authors.join(", ")) : null),
+      thumbnail: clean(wr.thumbnail) || clean(wr.thumbnail_url) || clean(meta.thumbnail) || clean(meta.thumbnail_url),
+      duration: clean(wr.duration) || clean(meta.duration),
+    };
+  }
+
+  const MONTH_NAMES = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+  const MLA_MONTH_NAMES = ["Jan.", "Feb.", "Mar.", "Apr.", "May", "June", "July", "Aug.", "Sept.", "Oct.", "Nov.", "Dec."];
+
+  // Parse a web result date into {year, month, day} parts; relative dates like "3 days ago" are ignored
+  function parseSourceDate(value) {
+    if (!value) return null;
+    const isoMatch = String(value).match(/^(\d{4})-(\d{2})(?:-(\d{2}))?/);
+    if (isoMatch) {
+      return { year: Number(isoMatch[1]), month: Number(isoMatch[2]) - 1, day: isoMatch[3] ? Number(isoMatch[3]) : null };
+    }
+    // A bare year would parse as UTC midnight on Jan 1 (Dec 31 west of UTC) and gain a month and day it never had
+    if (/^\d{4}$/.test(String(value).trim())) return { year: Number(value), month: null, day: null };
+    const parsed = new Date(value);
+    if (isNaN(parsed.getTime()) || !/\d{4}/.test(value)) return null;
+    // Dates with a zone (e.g. "... 00:00:00 GMT") are read in UTC so the local offset can't shift the day;
+    // zoneless ones ("May 1, 2024") parse as local midnight and are read back locally
+    if (/(?:\d(?:Z|[+-]\d{2}:?\d{2})|\b(?:GMT|UTC)\b)/i.test(value)) {
+      return { year: parsed.getUTCFullYear(), month: parsed.getUTCMonth(), day: parsed.getUTCDate() };
+    }
+    return { year: parsed.getFullYear(), month: parsed.getMonth(), day: parsed.getDate() };
+  }
+
+  function getSourceSite(ref) {
+    if (ref.siteName) return ref.siteName;
+    const video = parseVideoUrl(ref.href);
+    if (video) return video.platform;
+    try {
+      return new URL(ref.href).hostname.replace(/^www\./, "");
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Render one source as an APA 7, MLA 9 or Chicago (notes-bibliography) web reference
+  function formatAcademicReference(ref, referenceFormat, accessedOn) {
+    const rawSite = getSourceSite(ref);
+    const rawTitle = ref.title || rawSite || ref.href;
+    // Escaped before they are wrapped in emphasis or quotes; a site repeating the title is left out
+    const site = rawSite && rawSite !== rawTitle ? escapeMarkdownText(rawSite) : null;
+    const title = escapeMarkdownText(rawTitle);
+    const href = getDeepLink(ref.href, ref.snippet);
+    const author = ref.author ? escapeMarkdownText(ref.author.replace(/\.$/, "")) : null;
+    const published = parseSourceDate(ref.publishedDate);
+    const accessed = { year: accessedOn.getFullYear(), month: accessedOn.getMonth(), day: accessedOn.getDate() };
+    const withPeriod = (text) => (/[.?!]$/.test(text) ? text : `${text}.`);
+
+    if (referenceFormat === REFERENCE_FORMATS.APA) {
+      const monthDay = published && published.day ? `, ${MONTH_NAMES[published.month]} ${published.day}` : "";
+      const date = published ? `(${published.year}${monthDay})` : "(n.d.)";
+      const siteText = site ? ` ${withPeriod(site)}` : "";
+      const retrieved = published ? "" : `Retrieved ${MONTH_NAMES[accessed.month]} ${accessed.day}, ${accessed.year}, from `;
+      const italicTitle = `*${title.replace(/\.$/, "")}*${/[?!]$/.test(title) ? "" : "."}`;
+      const lead = author ? `${withPeriod(author)} ${date}. ${italicTitle}` : `${italicTitle} ${date}.`;
+      return `${lead}${siteText} ${retrieved}${href}`;
+    }
+
+    if (referenceFormat === REFERENCE_FORMATS.MLA) {
+      const parts = [];
+      if (author) parts.push(withPeriod(author));
+      parts.push(`"${withPeriod(title)}"`);
+      let container = site ? `*${site}*` : "";
+      if (published) {
+        const date = published.day ? `${published.day} ${MLA_MONTH_NAMES[published.month]} ${published.year}` : String(published.year);
+        container = container ? `${container}, ${date}` : date;
+      }
+      parts.push(container ? `${container}, ${href}.` : `${href}.`);
+      parts.push(`Accessed ${accessed.day} ${MLA_MONTH_NAMES[accessed.month]} ${accessed.year}.`);
+      return parts.join(" ");
+    }
+
+    // Chicago
+    const parts = [];
+    if (author) parts.push(withPeriod(author));
+    parts.push(`"${withPeriod(title)}"`);
+    if (site) parts.push(withPeriod(site));
+    if (published) {
+      parts.push(published.day ? `${MONTH_NAMES[published.month]} ${published.day}, ${published.year}.` : `${published.year}.`);
+    } else {
+      parts.push(`Accessed ${MONTH_NAMES[accessed.month]} ${accessed.day}, ${accessed.year}.`);
+    }
+    parts.push(`${href}.`);
+    return parts.join(" ");
+  }
+
+  // Format one citation registry entry for the Sources/footnote lists
+  function formatSourceEntry(ref, referenceFormat = REFERENCE_FORMATS.BASIC, accessedOn = new Date()) {
+    if (referenceFormat !== REFERENCE_FORMATS.BASIC) {
+      return formatAcademicReference(ref, referenceFormat, accessedOn);
+    }
+    // Basic: "Title — site.com — url", with the point a video link starts at after the site
+    const href = getDeepLink(ref.href, ref.snippet);
+    const start = parseVideoUrl(ref.href)?.start;
+    if (!ref.title) return start ? `${href} (at ${formatVideoTimestamp(start)})` : href;
+    const site = getSourceSite(ref);
+    return [escapeMarkdownText(ref.title), site && escapeMarkdownText(site), start && `at ${formatVideoTimestamp(start)}`, href].filter(Boolean).join(" — ");
+  }
+
+  // Wayback Machine link for a page as of the export date; the archive redirects to the nearest snapshot
+  function getArchiveUrl(url, date = new Date()) {
+    return `https://web.archive.org/web/${date.toISOString().slice(0, 10).replace(/-/g, "")}/${url}`;
+  }
+
+  // Entry in a Sources, footnote or Additional Sources list, with an archived copy link when enabled
+  function formatSourceListEntry(ref, referenceFormat, accessedOn) {
+    const { archiveLinks, videoThumbnails } = getExportPreferences();
+    let entry = formatSourceEntry(ref, referenceFormat, accessedOn);
+    if (archiveLinks && ref.href) entry += ` ([archived](${getArchiveUrl(ref.href, accessedOn)}))`;
+    const video = videoThumbnails && parseVideoUrl(ref.href);
+    const thumbnail = video && (ref.thumbnail || video.thumbnail);
+    if (thumbnail) entry += ` [![${escapeMarkdownText(`${video.platform} thumbnail`)}](${formatMarkdownUrl(thumbnail)})](${formatMarkdownUrl(ref.href)})`;
+    return entry;
+  }
+
+  const CITATION_KEY_STOPWORDS = new Set(["a", "an", "and", "are", "as", "at", "by", "for", "from", "how", "in", "is", "of", "on", "or", "the", "to", "what", "when", "where", "which", "who", "why", "with"]);
+
+  // "domain_titleword_year", e.g. wikipedia_photosynthesis_2024
+  function buildCitationKeyBase(ref) {
+    const slug = (text) =>
+      (text || "")
+        .normalize("NFKD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "");
+
+    const domain = slug(extractDomainName(ref.href)) || "source";
+    const titleWords = (ref.title || "").split(/\s+/).map(slug).filter(Boolean);
+    const word = titleWords.find((w) => !CITATION_KEY_STOPWORDS.has(w) && w !== domain) || "";
+    const year = parseSourceDate(ref.publishedDate)?.year;
+
+    return [domain, word, year].filter(Boolean).join("_");
+  }
+
+  // Marker for a run of adjacent citations ([{ number, url, name }]); resolved by renderCitationMarkers
+  function citationMarker(entries, citationStyle) {
+    if (!entries.length || citationStyle === CITATION_STYLES.NONE) return "";
+    return citationMarkers.create(entries.map((entry) => ({ ...entry, url: getCitationLink(entry.url) })));
+  }
+
+  // Render a run of adjacent citations ([{ number, url, name, label }]) in the given style.
+  // `number` is the registry number, `label` the number shown to readers (defaults to `number`).
+  function formatCitationRun(entries, citationStyle) {
+    if (!entries.length || citationStyle === CITATION_STYLES.NONE) return "";
+    const shown = (entry) => entry.label ?? entry.number;
+
+    switch (citationStyle) {
+      case CITATION_STYLES.ENDNOTES:
+        return entries.map((entry) => `[${shown(entry)}]`).join("");
+      case CITATION_STYLES.FOOTNOTES:
+        return entries.map((entry) => `[^${shown(entry)}]`).join("");
+      case CITATION_STYLES.INLINE:
+        return entries.map((entry) => (entry.url ? `[${shown(entry)}](${entry.url})` : `[${shown(entry)}]`)).join("");
+      case CITATION_STYLES.PARENTHESIZED:
+        return entries.map((entry) => (entry.url ? `([${shown(entry)}](${entry.url}))` : `([${shown(entry)}])`)).join(" ");
+      case CITATION_STYLES.NAMED:
+        return entries
+          .map((entry) => {
+            const label = escapeMarkdownText(globalCitations.getSiteLabel(entry));
+            return entry.url ? `([${label}](${entry.url}))` : `([${label}])`;
+          })
+          .join(" ");
+      case CITATION_STYLES.PANDOC: {
+        const keys = entries.map(({ number }) => globalCitations.getCitationKey(number)).filter(Boolean);
+        return keys.length ? `[${keys.map((key) => `@${key}`).join("; ")}]` : "";
+      }
+      case CITATION_STYLES.CUSTOM: {
+        const template = getCustomCitationTemplate();
+        const run = entries.map((entry) => fillCitationTemplate(template, entry)).join(getExportPreferences().customCitationJoiner);
+        if (TEMPLATE_INLINE_TAG_PATTERN.test(run)) citationMarkers.templateRuns.add(run);
+        return run;
+      }
+      default:
+        return entries.map((entry) => `[^${shown(entry)}]`).join("");
+    }
+  }
+
+  // The custom citation template in effect; an empty setting means the default
+  function getCustomCitationTemplate() {
+    return getExportPreferences().customCitationTemplate || DEFAULT_CUSTOM_CITATION_TEMPLATE;
+  }
+
+  // Expand {n}, {url}, {domain}, {title}, {site} and {key} in a user-defined citation template.
+  // Text fields are escaped so a bracket in a title can't break a link the template wraps around it
+  function fillCitationTemplate(template, { number, url, name, label }) {
+    const ref = globalCitations.citationRefs.get(number);
+    const domain = escapeMarkdownText(name || extractDomainName(url) || "source");
+    const values = {
+      n: label ?? number,
+      url: url || "",
+      domain,
+      title: ref?.title ? escapeMarkdownText(ref.title) : domain,
+      site: ref && getSourceSite(ref) ? escapeMarkdownText(getSourceSite(ref)) : domain,
+      key: ref ? globalCitations.getCitationKey(number) : "",
+    };
+    return template.replace(/\{(n|url|domain|title|site|key)\}/g, (_m, field) => String(values[field]));
+  }
+
+  // YAML frontmatter; Pandoc style also embeds every source as CSL references for citeproc
+  function buildFrontmatter(title, citationStyle) {
+    // Plain only when YAML can't read it as anything else: a ": " or trailing ":" would start a mapping
+    const yamlScalar = (value) => (/^[\w(]/.test(value) && !/:(?:\s|$)|\s#|[\n"]/.test(value) ? value : JSON.stringify(value));
+    let yaml = `---\ntitle: ${yamlScalar(title)}\ndate: ${new Date().toISOString().split("T")[0]}\nsource: ${window.location.href}\n`;
+    if (citationStyle === CITATION_STYLES.PANDOC && globalCitations.citationRefs.size > 0) {
+      // JSON objects are valid YAML flow mappings, which keeps this serializer trivial
+      yaml += "references:\n";
+      for (const item of buildCslItems()) {
+        yaml += `- ${JSON.stringify(item)}\n`;
+      }
+    }
+    return `${yaml}---`;
+  }
+
+  // Snippet Perplexity showed for a source, flattened to one line and kept short for quoting
+  function getSnippetQuote(ref) {
+    const text = (ref.snippet || "").replace(/\s+/g, " ").trim();
+    const quote = text.length <= SNIPPET_QUOTE_MAX_LENGTH ? text : `${text.slice(0, SNIPPET_QUOTE_MAX_LENGTH).replace(/\s+\S*$/, "")}…`;
+    // Page text, so nothing in it may render as markup inside the "> " quote
+    return escapeMarkdownLineStarts(escapeMarkdownText(quote));
+  }
+
+  // Display labels for one Sources list, numbered 1, 2, 3… in order of first appearance in the
+  // rendered text. Registry numbers follow extraction order, which rarely matches reading order.
+  function createCitationNumbering(citationStyle, { turn = null } = {}) {
+    const labels = new Map(); // registry number -> label shown in text
+    // Footnote labels share one namespace per document, so restarted numbers need a turn prefix
+    const prefix = turn !== null && citationStyle === CITATION_STYLES.FOOTNOTES ? `${turn}-` : "";
+
+    return {
+      labelFor(number) {
+        if (!labels.has(number)) labels.set(number, turn === null ? labels.size + 1 : `${prefix}${labels.size + 1}`);
+        return labels.get(number);
+      },
+
+      // [label, ref, registry number] for the Sources list, in label order
+      sources() {
+        if (turn === null) {
+          // Sources registered but never cited in the text (e.g. unreferenced report sources) go last
+          for (const number of globalCitations.citationRefs.keys()) this.labelFor(number);
         }
+        return [...labels].map(([number, label]) => [label, globalCitations.citationRefs.get(number), number]).filter(([, ref]) => ref);
+      },
+    };
+  }
+
+  function renderCitationMarkers(text, citationStyle, numbering) {
+    return text.replace(CITATION_MARKER_PATTERN, (_m, id) => {
+      const entries = citationMarkers.get(Number(id)).map((entry) => {
+        const snippet = globalCitations.citationRefs.get(entry.number)?.snippet || globalCitations.sourceMetadata.get(normalizeUrl(entry.url))?.snippet;
+        return { ...entry, url: getDeepLink(entry.url, snippet), label: numbering.labelFor(entry.number) };
+      });
+      return formatCitationRun(entries, citationStyle);
+    });
+  }
+
+  // Render citation markers in every message. With per-answer scope each assistant message gets
+  // its own numbering (returned on the message); `numbering` backs the whole-thread Sources list.
+  function resolveConversationCitations(conversations, citationStyle) {
+    const perTurn = getExportPreferences().citationScope === CITATION_SCOPES.PER_TURN;
+    const numbering = createCitationNumbering(citationStyle);
+    const usage = new Map(); // registry number -> { count, answers: Set of answer ordinals }
+    const questions = []; // answer ordinal - 1 -> question it answers
+    let answer = 0;
+    let question = "";
+
+    const messages = conversations.map((conv) => {
+      if (conv.role === "User") question = conv.content.trim();
+      if (conv.role === "Assistant") questions[answer++] = question;
+      const entries = [...conv.content.matchAll(CITATION_MARKER_PATTERN)].flatMap(([, id]) => citationMarkers.get(Number(id)));
+      for (const { number } of entries) {
+        const record = usage.get(number) || { count: 0, answers: new Set() };
+        record.count++;
+        record.answers.add(answer);
+        usage.set(number, record);
       }
+      // Document-wide numbers cited by this message, in reading order (assigned even when
+      // the text itself uses per-answer numbers, so JSON and bibliographies stay consistent)
+      const cited = [...new Set(entries.map((entry) => numbering.labelFor(entry.number)))];
+      const consulted = [...conv.content.matchAll(CONSULTED_MARKER_PATTERN)].flatMap(([, id]) => citationMarkers.getConsulted(Number(id)));
+      const turnNumbering = perTurn && conv.role === "Assistant" ? createCitationNumbering(citationStyle, { turn: answer }) : null;
+      return {
+        ...conv,
+        content: renderCitationMarkers(conv.content, citationStyle, turnNumbering || numbering)
+          .replace(CONSULTED_MARKER_PATTERN, "")
+          .replace(TABLE_MARKER_PATTERN, (_m, before, id, after) => {
+            const link = tableMarkers.render(Number(id));
+            return link ? `${before}${link}${after}` : before.length > after.length ? before : after;
+          }),
+        cited,
+        consulted,
+        numbering: turnNumbering,
+      };
+    });
 
-      return parts[0];
+    return { messages, numbering, perTurn, usage, questions };
+  }
+
+  // "Citation Statistics" appendix: how often each source and domain is cited, and by which answers
+  function buildCitationStatsBlock({ usage }) {
+    const cell = (text) => String(text).replace(/\|/g, "\\|").replace(/([[\]])/g, "\\$1");
+    const sources = [...usage]
+      .map(([number, { count, answers }]) => ({ ref: globalCitations.citationRefs.get(number), count, answers }))
+      .filter(({ ref }) => ref)
+      .sort((a, b) => b.count - a.count);
+    if (sources.length === 0) return "";
+
+    const domains = new Map(); // registrable domain -> { count, sources }
+    for (const { ref, count } of sources) {
+      const domain = getSourceDomain(ref);
+      const record = domains.get(domain) || { count: 0, sources: 0 };
+      record.count += count;
+      record.sources++;
+      domains.set(domain, record);
+    }
+    const total = sources.reduce((sum, { count }) => sum + count, 0);
+    const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+    let block = "### Citation Statistics\n";
+    block += `${plural(total, "citation")} of ${plural(sources.length, "source")} from ${plural(domains.size, "domain")}.\n\n`;
+    block += "| Source | Citations | Answers |\n| --- | ---: | --- |\n";
+    for (const { ref, count, answers } of sources) {
+      block += `| [${cell(ref.title || getSourceSite(ref) || ref.href)}](${ref.href}) | ${count} | ${[...answers].join(", ")} |\n`;
+    }
+    block += "\n#### Top Domains\n| Domain | Citations | Share | Sources |\n| --- | ---: | ---: | ---: |\n";
+    for (const [domain, { count, sources: sourceCount }] of [...domains].sort((a, b) => b[1].count - a[1].count)) {
+      block += `| ${cell(domain)} | ${count} | ${Math.round((count / total) * 100)}% | ${sourceCount} |\n`;
+    }
+    return block;
+  }
+
+  function getSourceDomain(ref) {
+    try {
+      return getRegistrableDomain(new URL(ref.href).hostname);
     } catch (e) {
-      return null;
+      return ref.href;
+    }
+  }
+
+  // Split Sources entries under headings per the sourcesGrouping preference; [[heading, entries]].
+  // Grouping by question needs the conversation's `resolution` and only applies to whole-thread lists.
+  function groupSources(sources, resolution) {
+    const { sourcesGrouping } = getExportPreferences();
+    const groups = new Map();
+    const addTo = (heading, source) => groups.set(heading, [...(groups.get(heading) || []), source]);
+
+    if (sourcesGrouping === SOURCES_GROUPINGS.DOMAIN) {
+      for (const source of sources) addTo(getSourceDomain(source[1]), source);
+      return [...groups].sort(([a], [b]) => a.localeCompare(b));
     }
+    if (sourcesGrouping === SOURCES_GROUPINGS.TURN && resolution && resolution.questions.length > 1) {
+      for (const source of sources) {
+        const answers = resolution.usage.get(source[2])?.answers;
+        const answer = answers ? Math.min(...answers) : 0;
+        const question = answer > 0 ? resolution.questions[answer - 1] : "";
+        const heading = answer > 0 ? `${answer}. ${question.replace(/\s+/g, " ").slice(0, 100) || "Answer"}` : "Other Sources";
+        addTo(heading, source);
+      }
+      // Never-cited sources are numbered last, so "Other Sources" follows every question
+      return [...groups];
+    }
+    return [[null, sources]];
+  }
+
+  // Endnotes "### Sources" list or footnote definitions for the citations in `numbering`
+  // (every registered citation by default)
+  function buildSourcesBlock(citationStyle, numbering = createCitationNumbering(citationStyle), resolution = null) {
+    const sources = numbering.sources();
+    if (sources.length === 0) return "";
+
+    const { referenceFormat, includeSnippets } = getExportPreferences();
+    const accessedOn = new Date();
+    let block = "";
+    if (citationStyle === CITATION_STYLES.ENDNOTES) {
+      block += "### Sources\n";
+      for (const [heading, group] of groupSources(sources, resolution)) {
+        if (heading) block += `\n#### ${escapeMarkdownText(heading)}\n`;
+        for (const [label, ref] of group) {
+          block += `[${label}] ${formatSourceListEntry(ref, referenceFormat, accessedOn)}\n`;
+          // The blank line keeps the next entry from being read as part of the quote
+          const quote = includeSnippets && getSnippetQuote(ref);
+          if (quote) block += `> ${quote}\n\n`;
+        }
+      }
+    } else if (citationStyle === CITATION_STYLES.FOOTNOTES) {
+      for (const [label, ref] of sources) {
+        block += `[^${label}]: ${formatSourceListEntry(ref, referenceFormat, accessedOn)}\n`;
+        // Indented so the quote stays inside the footnote definition
+        const quote = includeSnippets && getSnippetQuote(ref);
+        if (quote) block += `    > ${quote}\n`;
+      }
+    } else if (citationStyle === CITATION_STYLES.CUSTOM && !getCustomCitationTemplate().includes("{url}")) {
+      // Templates without a link would leave readers with bare numbers, so list the sources like endnotes
+      return buildSourcesBlock(CITATION_STYLES.ENDNOTES, numbering, resolution);
+    }
+    return block;
+  }
+
+  // "Additional Sources" bullet list of consulted URLs that were never cited, kept apart from the
+  // numbered citations. `listed` collects normalized URLs already shown so lists never repeat.
+  function buildAdditionalSourcesBlock(urls, listed) {
+    const { referenceFormat } = getExportPreferences();
+    const accessedOn = new Date();
+    const entries = [];
+    for (const url of urls) {
+      const normalizedUrl = normalizeUrl(url);
+      if (listed.has(normalizedUrl) || globalCitations.urlToNumber.has(normalizedUrl)) continue;
+      listed.add(normalizedUrl);
+      const ref = { href: getCitationLink(url), ...globalCitations.sourceMetadata.get(normalizedUrl) };
+      entries.push(`- ${formatSourceListEntry(ref, referenceFormat, accessedOn)}`);
+    }
+    return entries.length > 0 ? `### Additional Sources\n${entries.join("\n")}\n` : "";
+  }
+
+  // Tag extracted answer markdown with the sources it consulted when Additional Sources are wanted per answer
+  function withConsultedSources(markdown, urls) {
+    if (!markdown || !urls?.length || getExportPreferences().additionalSources !== ADDITIONAL_SOURCES_MODES.PER_TURN) return markdown;
+    return `${markdown}${citationMarkers.createConsulted(urls)}`;
+  }
+
+  // Pull the image URL, caption and source page out of a Perplexity image result (field names vary between page versions)
+  function readImageResult(item) {
+    if (!item || typeof item !== "object") return null;
+    const src = [item.image, item.image_url, item.imageUrl, item.url, item.thumbnail, item.thumbnail_url].find((value) => typeof value === "string" && /^https?:/i.test(value));
+    if (!src) return null;
+    const link = [item.origin_url, item.originUrl, item.source_url, item.page_url, item.link].find((value) => typeof value === "string" && /^https?:/i.test(value));
+    const alt = [item.name, item.title, item.alt, item.description].find((value) => typeof value === "string") || "";
+    return { src, alt: alt.replace(/\s+/g, " ").trim(), link: link && link !== src ? link : null };
+  }
+
+  // Append the answer's image results (carousel, generated images) as linked Markdown images,
+  // skipping any the answer already shows inline
+  function withImageResults(markdown, images) {
+    if (!markdown || !images?.length || getExportPreferences().imageMode === IMAGE_MODES.OFF) return markdown;
+    const lines = [];
+    for (const image of images.map(readImageResult).filter(Boolean)) {
+      const src = formatMarkdownUrl(image.src);
+      if (markdown.includes(src) || lines.some((line) => line.includes(src))) continue;
+      const markdownImage = `![${escapeMarkdownText(image.alt)}](${src})`;
+      lines.push(image.link ? `- [${markdownImage}](${formatMarkdownUrl(image.link)})` : `- ${markdownImage}`);
+    }
+    return lines.length > 0 ? `${markdown}\n\n### Images\n${lines.join("\n")}` : markdown;
+  }
+
+  // Answer-level image results from the prose node's React props
+  function findAnswerImageResults(rootEl) {
+    return findAnswerResultsProp(rootEl, ["imageResults", "image_results", "mediaItems", "media_items"], readImageResult);
+  }
+
+  // First list under one of `keys` in the prose node's React props with an item `read` accepts
+  function findAnswerResultsProp(rootEl, keys, read) {
+    const fiberKey = Object.keys(rootEl).find(k => k.startsWith('__reactFiber'));
+    let fiber = fiberKey ? rootEl[fiberKey] : null;
+    for (let i = 0; i < 40 && fiber; i++) {
+      const props = fiber.memoizedProps;
+      for (const key of keys) {
+        const results = props?.[key];
+        if (Array.isArray(results) && results.some(read)) return results;
+      }
+      fiber = fiber.return;
+    }
+    return null;
+  }
+
+  // A Perplexity video result (the answer's video cards) as a web result, so its title and thumbnail are
+  // recorded like any other source's; null for anything that isn't a recognized video link
+  function readVideoResult(item) {
+    if (!item || typeof item !== "object") return null;
+    const url = [item.url, item.video_url, item.videoUrl, item.link].find((value) => typeof value === "string" && parseVideoUrl(value));
+    if (!url) return null;
+    const thumbnail = [item.thumbnail, item.thumbnail_url, item.thumbnailUrl, item.image].find((value) => typeof value === "string" && /^https?:/i.test(value));
+    return {
+      url,
+      name: item.name || item.title || null,
+      site_name: item.site_name || item.channel || item.author || null,
+      thumbnail: thumbnail || null,
+      duration: item.duration ? String(item.duration) : null,
+    };
+  }
+
+  function findAnswerVideoResults(rootEl) {
+    const videos = findAnswerResultsProp(rootEl, ["videoResults", "video_results", "videos"], readVideoResult);
+    return videos ? videos.map(readVideoResult).filter(Boolean) : [];
+  }
+
+  // Append the answer's video cards as a "### Videos" list of links
+  function withVideoResults(markdown, videos) {
+    if (!markdown || !videos?.length) return markdown;
+    const lines = [];
+    const seen = new Set();
+    for (const video of videos.map(readVideoResult).filter(Boolean)) {
+      const key = normalizeUrl(video.url);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const { platform, start } = parseVideoUrl(video.url);
+      const title = escapeMarkdownText((video.name || `${platform} video`).replace(/\s+/g, " ").trim());
+      const details = [video.site_name, platform, video.duration, start && `at ${formatVideoTimestamp(start)}`].filter(Boolean);
+      lines.push(`- [${title}](${formatMarkdownUrl(video.url)}) — ${[...new Set(details)].join(", ")}`);
+    }
+    return lines.length > 0 ? `${markdown}\n\n### Videos\n${lines.join("\n")}` : markdown;
+  }
+
+  // Fetch a file as a typed Blob, or null when it fails, is too large or isn't of the expected type.
+  // GM_xmlhttpRequest gets around the CORS rules a page fetch would hit. Only reached when the user picks
+  // Embed images or a Bundle export; hosts missing from @connect get the userscript manager's permission prompt
+  function fetchRemoteFile(url, { maxBytes, typePattern = null }) {
+    return new Promise((resolve) => {
+      if (typeof GM_xmlhttpRequest !== "function") {
+        resolve(null);
+        return;
+      }
+      GM_xmlhttpRequest({
+        method: "GET",
+        url,
+        responseType: "blob",
+        timeout: IMAGE_FETCH_TIMEOUT_MS,
+        onload: (response) => {
+          const headerType = (response.responseHeaders || "").match(/^content-type:\s*([^;\r\n]+)/im)?.[1];
+          const blob = response.response;
+          const type = blob?.type || headerType || "";
+          if (response.status !== 200 || !blob || (typePattern && !typePattern.test(type)) || blob.size > maxBytes) {
+            resolve(null);
+            return;
+          }
+          resolve(blob.type || !type ? blob : new Blob([blob], { type }));
+        },
+        onerror: () => resolve(null),
+        ontimeout: () => resolve(null),
+      });
+    });
+  }
+
+  async function fetchImageDataUri(url) {
+    const blob = await fetchRemoteFile(url, { maxBytes: IMAGE_EMBED_MAX_BYTES, typePattern: /^image\//i });
+    if (!blob) return null;
+    return new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => resolve(null);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  // Inline every remote Markdown image as a data URI so the export is self-contained; failed fetches stay linked
+  async function embedMarkdownImages(markdown) {
+    const urls = new Set([...markdown.matchAll(MARKDOWN_IMAGE_PATTERN)].map(([, , url]) => url).filter((url) => /^https?:/i.test(url)));
+    const dataUris = new Map();
+    for (const url of urls) {
+      const dataUri = await fetchImageDataUri(url);
+      if (dataUri) dataUris.set(url, dataUri);
+    }
+    return markdown.replace(MARKDOWN_IMAGE_PATTERN, (match, alt, url) => (dataUris.has(url) ? `![${alt}](${dataUris.get(url)})` : match));
+  }
+
+  // Download the images and Perplexity-hosted files the markdown links to and point the links at the copies,
+  // returning the rewritten markdown and the files to bundle next to it. Failed downloads stay linked
+  async function bundleMarkdownAssets(markdown) {
+    const files = [];
+    const paths = new Map(); // remote URL -> path inside the bundle
+    const addFile = (directory, name, content) => {
+      const dot = name.lastIndexOf(".");
+      const [stem, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ""];
+      let path = `${directory}/${name}`;
+      for (let n = 2; files.some((file) => file.name === path); n++) path = `${directory}/${stem}-${n}${extension}`;
+      files.push({ name: path, content });
+      return path;
+    };
+
+    if (getExportPreferences().imageMode !== IMAGE_MODES.OFF) {
+      const imageUrls = new Set([...markdown.matchAll(MARKDOWN_IMAGE_PATTERN)].map(([, , url]) => url).filter((url) => /^https?:/i.test(url)));
+      for (const url of imageUrls) {
+        const blob = await fetchRemoteFile(url, { maxBytes: BUNDLE_FILE_MAX_BYTES, typePattern: /^image\//i });
+        if (!blob) continue;
+        const extension = IMAGE_FILE_EXTENSIONS[blob.type.toLowerCase()] || new URL(url).pathname.match(/\.(\w{2,5})$/)?.[1] || "img";
+        paths.set(url, addFile("images", `image-${paths.size + 1}.${extension}`, blob));
+      }
+    }
+
+    const fileUrls = new Set([...markdown.matchAll(/\]\((https:[^()\s]+)\)/g)].map(([, url]) => url).filter((url) => BUNDLE_FILE_URL_PATTERN.test(url)));
+    for (const url of fileUrls) {
+      if (paths.has(url)) continue;
+      const blob = await fetchRemoteFile(url, { maxBytes: BUNDLE_FILE_MAX_BYTES });
+      if (!blob) continue;
+      let name = new URL(url).pathname.split("/").pop();
+      try {
+        name = decodeURIComponent(name);
+      } catch {}
+      paths.set(url, addFile("files", name.replace(/[^\w.-]+/g, "-").replace(/^[-.]+/, "") || "file", blob));
+    }
+
+    return {
+      markdown: markdown.replace(/\]\(([^()\s]+)\)/g, (match, url) => (paths.has(url) ? `](${encodeURI(paths.get(url))})` : match)),
+      files,
+    };
   }
 
   // ============================================================================
@@ -572,9 +1773,10 @@
 
     const parts = [];
     for (const prose of proseEls) {
-      annotateCitationUrls(prose);
+      const consulted = annotateCitationUrls(prose);
       const cloned = prose.cloneNode(true);
-      const md = htmlToMarkdown(cloned.innerHTML, getPreferences().citationStyle, null).trim();
+      let md = withConsultedSources(htmlToMarkdown(cloned.innerHTML, getPreferences().citationStyle, null).trim(), consulted);
+      md = withVideoResults(withImageResults(md, findAnswerImageResults(prose)), findAnswerVideoResults(prose));
       if (md) parts.push(md);
     }
 
@@ -775,8 +1977,14 @@
     // Normalize line endings (blobs may use CRLF)
     let cleaned = rawMd.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
 
-    // Remove the Perplexity logo <img> tag and any other HTML img tags
-    cleaned = cleaned.replace(/<img[^>]*>/gi, '');
+    // Drop the Perplexity logo; other <img> tags become Markdown images
+    const imageMode = getPreferences().imageMode;
+    cleaned = cleaned.replace(/<img[^>]*>/gi, (tag) => {
+      const attr = (name) => tag.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'))?.[1] || '';
+      const src = attr('src');
+      if (!/^https?:/i.test(src) || imageMode === IMAGE_MODES.OFF || /pplx|perplexity/i.test(src) && /logo/i.test(src)) return '';
+      return `![${escapeMarkdownText(attr('alt'))}](${formatMarkdownUrl(src)})`;
+    });
 
     // Remove <span style="display:none">...</span> blocks (hidden unused citations)
     cleaned = cleaned.replace(/<span\s+style\s*=\s*"display:\s*none"[^>]*>[\s\S]*?<\/span>/gi, '');
@@ -815,7 +2023,7 @@
         const footnoteMatch = line.match(/^\[\^(\d+_\d+)\]:\s*(.+)$/);
         if (footnoteMatch) {
           inFootnotes = true;
-          footnoteMap.set(footnoteMatch[1], footnoteMatch[2].trim());
+          footnoteMap.set(footnoteMatch[1], readFootnoteSource(footnoteMatch[2]));
           continue;
         }
 
@@ -837,7 +2045,7 @@
       if (!questionText) continue;
 
       // Join answer lines and clean up
-      let answerBody = answerLines.join('\n').trim();
+      let answerBody = normalizeMathDelimiters(answerLines.join('\n').trim());
 
       // Normalize horizontal rules within answers to ***
       answerBody = answerBody.replace(/^---$/gm, '***');
@@ -865,27 +2073,11 @@
           const keys = Array.from(run.matchAll(/\[\^(\d+_\d+)\]/g)).map(m => m[1]);
           if (keys.length === 0) return run;
 
-          return keys.map(localKey => {
-            const globalNum = localToGlobalMap.get(localKey) || localKey;
-            const url = footnoteMap.get(localKey) || '';
-
-            switch (citationStyle) {
-              case CITATION_STYLES.ENDNOTES:
-                return `[${globalNum}]`;
-              case CITATION_STYLES.FOOTNOTES:
-                return `[^${globalNum}]`;
-              case CITATION_STYLES.INLINE:
-                return url ? `[${globalNum}](${url})` : `[${globalNum}]`;
-              case CITATION_STYLES.PARENTHESIZED:
-                return url ? `([${globalNum}](${url}))` : `([${globalNum}])`;
-              case CITATION_STYLES.NAMED: {
-                const domain = extractDomainName(url) || 'source';
-                return url ? `([${domain}](${url}))` : `([${domain}])`;
-              }
-              default:
-                return `[^${globalNum}]`;
-            }
-          }).join('');
+          const entries = keys.map(localKey => ({
+            number: localToGlobalMap.get(localKey) || localKey,
+            url: footnoteMap.get(localKey) || '',
+          }));
+          return citationMarker(entries, citationStyle);
         });
       }
 
@@ -900,6 +2092,19 @@
     return conversation;
   }
 
+  // URL of an export footnote, written as a bare URL, <url>, [title](url) or "url title" (video footnotes
+  // carry the video title); a title found alongside is recorded for the Sources list
+  function readFootnoteSource(value) {
+    const text = value.trim();
+    const linked = text.match(/^\[([^\]]*)\]\((\S+?)\)/);
+    const [url, title] = linked
+      ? [linked[2], linked[1]]
+      : [text.match(/^<?(https?:\/\/[^\s>]+)>?/)?.[1], text.replace(/^<?https?:\/\/[^\s>]+>?/, "").replace(/^\s*[-–—:]\s*/, "").replace(/^"(.*)"$/, "$1")];
+    if (!url) return text;
+    if (title?.trim() && title.trim() !== url) globalCitations.recordMetadata(url, { title: title.trim() });
+    return url;
+  }
+
   async function extractByThreadExport(citationStyle) {
     try {
       const rawMd = await interceptThreadExportMarkdown();
@@ -908,6 +2113,8 @@
         return [];
       }
       console.log('Thread export: captured raw markdown, reformatting...');
+      // The export only has bare URLs; pick up titles/sites from whatever answers are mounted
+      document.querySelectorAll(".prose.text-pretty.dark\\:prose-invert, [class*='prose'][class*='prose-invert']").forEach(annotateCitationUrls);
       const conversation = reformatThreadExportMarkdown(rawMd, citationStyle);
       console.log(`Thread export: produced ${conversation.length} items`);
       return conversation;
@@ -917,11 +2124,11 @@
     }
   }
 
-  function reformatDeepResearchMarkdown(rawMd, citationStyle, { appendCitations = true } = {}) {
+  function reformatDeepResearchMarkdown(rawMd, citationStyle) {
     // Split off the References section
     const refSplitPattern = /\n---\s*\n+## References\s*\n|(?:^|\n)## References\s*\n/;
     const parts = rawMd.split(refSplitPattern);
-    let body = parts[0];
+    let body = normalizeMathDelimiters(parts[0]);
     const refsBlock = parts.length > 1 ? parts[1] : '';
 
     // Build citation number -> URL map from references section or DOM
@@ -930,9 +2137,9 @@
     if (refsBlock) {
       const refLines = refsBlock.split('\n');
       for (const line of refLines) {
-        const match = line.match(/^(\d+)\.\s+\[([^\]]*)\]\(([^)]+)\)/);
+        const match = line.match(/^(\d+)\.\s+\[([^\]]*)\]\(([^)]+)\)(?:\s+-\s+(.+))?/);
         if (match) {
-          citationUrlMap.set(match[1], { title: match[2], url: match[3] });
+          citationUrlMap.set(match[1], { title: match[2], url: match[3], description: match[4] || null });
         }
       }
     }
@@ -953,7 +2160,8 @@
 
     // Register all references with globalCitations for consistent numbering
     const localToGlobalMap = new Map(); // local ref number -> global citation number
-    for (const [localNum, { url }] of citationUrlMap) {
+    for (const [localNum, { url, title, description }] of citationUrlMap) {
+      globalCitations.recordMetadata(url, { title: title || null, snippet: description });
       const globalNum = globalCitations.addCitation(url);
       localToGlobalMap.set(localNum, globalNum);
     }
@@ -972,50 +2180,15 @@
         const nums = Array.from(run.matchAll(citationSinglePattern)).map(m => m[1]);
         if (nums.length === 0) return run;
 
-        return nums.map(localNum => {
-          const globalNum = localToGlobalMap.get(localNum) || localNum;
-          const ref = citationUrlMap.get(localNum);
-          const url = ref?.url || '';
-
-          switch (citationStyle) {
-            case CITATION_STYLES.ENDNOTES:
-              return `[${globalNum}]`;
-            case CITATION_STYLES.FOOTNOTES:
-              return `[^${globalNum}]`;
-            case CITATION_STYLES.INLINE:
-              return url ? `[${globalNum}](${url})` : `[${globalNum}]`;
-            case CITATION_STYLES.PARENTHESIZED:
-              return url ? `([${globalNum}](${url}))` : `([${globalNum}])`;
-            case CITATION_STYLES.NAMED: {
-              const domain = extractDomainName(url) || 'source';
-              return url ? `([${domain}](${url}))` : `([${domain}])`;
-            }
-            default:
-              return `[^${globalNum}]`;
-          }
-        }).join('');
+        const entries = nums.map(localNum => ({
+          number: localToGlobalMap.get(localNum) || localNum,
+          url: citationUrlMap.get(localNum)?.url || '',
+        }));
+        return citationMarker(entries, citationStyle);
       });
 
       // Remove space between punctuation and citation markers
-      body = body.replace(/(\.) (\[\^?\d+\])/g, '$1$2');
-    }
-
-    if (appendCitations) {
-      const prefs = getPreferences();
-      const gap = prefs.addExtraNewlines ? '\n\n' : '\n';
-      if (citationStyle === CITATION_STYLES.ENDNOTES && globalCitations.citationRefs.size > 0) {
-        body += `${gap}### Sources\n`;
-        for (const [number, { href }] of globalCitations.citationRefs) {
-          body += `[${number}] ${href}\n`;
-        }
-      }
-
-      if (citationStyle === CITATION_STYLES.FOOTNOTES && globalCitations.citationRefs.size > 0) {
-        body += '\n\n';
-        for (const [number, { href }] of globalCitations.citationRefs) {
-          body += `[^${number}]: ${href}\n`;
-        }
-      }
+      body = body.replace(/(\.) (\uE000\d+\uE001)/g, '$1$2');
     }
 
     // Convert --- to *** to avoid setext heading interpretation
@@ -1029,19 +2202,24 @@
         preserved.push({ content: match, isTable: false });
         return `%%COMPACT_${preserved.length - 1}%%`;
       });
-      body = body.replace(/\n\n(\|[^\n]+\n\|[^\n]+\n(?:\|[^\n]+\n?)*)/g, (_m, table) => {
+      body = body.replace(MARKDOWN_TABLE_BLOCK_PATTERN, (_m, table) => {
         preserved.push({ content: table, isTable: true });
         return `\n\n%%COMPACT_${preserved.length - 1}%%\n`;
       });
       body = body.replace(/\n+/g, '\n').replace(/\n\s*\n/g, '\n');
       preserved.forEach(({ content, isTable }, i) => {
-        body = body.replace(`%%COMPACT_${i}%%`, isTable ? `\n${content.trimEnd()}` : content);
+        body = body.replace(`%%COMPACT_${i}%%`, isTable ? `\n${content.trimEnd()}\n` : content);
       });
     }
 
     return body.trim();
   }
 
+  function getDeepResearchTitle(content) {
+    const titleMatch = content.match(/^# (.+)$/m);
+    return titleMatch ? titleMatch[1] : document.title.replace(/ - Perplexity$/, '').replace(/ \| Perplexity$/, '').trim();
+  }
+
   async function exportDeepResearch({ appendCitations = true } = {}) {
     const prefs = getPreferences();
     globalCitations.reset();
@@ -1085,19 +2263,18 @@
       return null;
     }
 
-    // DOM scrape already has styled citations via htmlToMarkdown; others need reformatting
-    const content = fromDomScrape ? rawMd : reformatDeepResearchMarkdown(rawMd, prefs.citationStyle, { appendCitations });
+    // DOM scrape already has citation markers via htmlToMarkdown; others need reformatting
+    const content = fromDomScrape ? rawMd : reformatDeepResearchMarkdown(rawMd, prefs.citationStyle);
 
     // Build final document
     const gap = prefs.addExtraNewlines ? '\n\n' : '\n';
     let markdown = '';
 
-    const titleMatch = content.match(/^# (.+)$/m);
-    const title = titleMatch ? titleMatch[1] : document.title.replace(/ - Perplexity$/, '').replace(/ \| Perplexity$/, '').trim();
+    const title = getDeepResearchTitle(content);
 
-    if (prefs.includeFrontmatter) {
-      const timestamp = new Date().toISOString().split('T')[0];
-      markdown += `---\ntitle: ${title}\ndate: ${timestamp}\nsource: ${window.location.href}\n---${gap}`;
+    // Pandoc citations need the references block, so that style always gets frontmatter
+    if (prefs.includeFrontmatter || prefs.citationStyle === CITATION_STYLES.PANDOC) {
+      markdown += `${buildFrontmatter(title, prefs.citationStyle)}${gap}`;
     }
 
     if (prefs.titleAsH1 && !content.startsWith('# ')) {
@@ -1106,20 +2283,21 @@
 
     markdown += content;
 
-    // For DOM scrape, citations were registered in globalCitations by htmlToMarkdown
-    // but endnotes/footnotes block wasn't appended yet
-    if (fromDomScrape && appendCitations && globalCitations.citationRefs.size > 0) {
-      if (prefs.citationStyle === CITATION_STYLES.ENDNOTES) {
-        markdown += `${gap}### Sources\n`;
-        for (const [number, { href }] of globalCitations.citationRefs) {
-          markdown += `[${number}] ${href}\n`;
-        }
-      } else if (prefs.citationStyle === CITATION_STYLES.FOOTNOTES) {
-        markdown += '\n\n';
-        for (const [number, { href }] of globalCitations.citationRefs) {
-          markdown += `[^${number}]: ${href}\n`;
-        }
+    // Without appendCitations the caller merges this report into a larger export and resolves markers itself
+    if (appendCitations) {
+      const resolution = resolveConversationCitations([{ role: 'Assistant', content: markdown }], prefs.citationStyle);
+      const { messages: [report], numbering } = resolution;
+      markdown = report.content;
+      const sourcesBlock = buildSourcesBlock(prefs.citationStyle, report.numbering || numbering);
+      if (sourcesBlock) {
+        markdown += (prefs.citationStyle === CITATION_STYLES.FOOTNOTES ? '\n\n' : gap) + sourcesBlock;
       }
+      if (prefs.additionalSources !== ADDITIONAL_SOURCES_MODES.OFF) {
+        const additionalBlock = buildAdditionalSourcesBlock([...report.consulted, ...globalCitations.consulted.values()], new Set());
+        if (additionalBlock) markdown += `${gap}${additionalBlock}`;
+      }
+      const statsBlock = prefs.includeCitationStats ? buildCitationStatsBlock(resolution) : '';
+      if (statsBlock) markdown += `${gap}${statsBlock}`;
     }
 
     return markdown.trim();
@@ -1293,11 +2471,25 @@
 
   // Annotate each citation element on a live DOM node with data-urls
   // so the URLs survive cloneNode (which strips React fiber refs)
+  // Returns the URLs of every source the answer consulted (cited or not) that could be found.
   function annotateCitationUrls(rootEl) {
+    const consulted = new Set();
+    const addConsulted = (webResults) => webResults.forEach(wr => wr?.url && consulted.add(wr.url));
+
+    const answerResults = findAnswerWebResults(rootEl);
+    if (answerResults) {
+      globalCitations.recordWebResults(answerResults);
+      addConsulted(answerResults);
+    }
+    // Video cards sit beside the web results; recording them gives cited videos their titles and thumbnails
+    const videoResults = findAnswerVideoResults(rootEl);
+    globalCitations.recordWebResults(videoResults);
+    addConsulted(videoResults);
+
     const citations = rootEl.querySelectorAll('.citation:not(.citation-nbsp)');
-    if (citations.length === 0) return;
+    if (citations.length === 0) return [...consulted];
     const fiberKey = Object.keys(citations[0]).find(k => k.startsWith('__reactFiber'));
-    if (!fiberKey) return;
+    if (!fiberKey) return [...consulted];
 
     let answerWebResults = null;
 
@@ -1309,6 +2501,8 @@
         const p = fiber.memoizedProps;
         if (p?.citationGroup) {
           if (p.webResults) {
+            globalCitations.recordWebResults(p.webResults);
+            addConsulted(p.webResults);
             const urls = p.webResults.map(wr => wr.url).filter(Boolean);
             if (urls.length > 0) {
               citEl.setAttribute('data-urls', urls.join('|'));
@@ -1324,6 +2518,8 @@
 
         if (citationIndices && p?.webResults && Array.isArray(p.webResults) && p.webResults.length >= 5) {
           answerWebResults = p.webResults;
+          globalCitations.recordWebResults(answerWebResults);
+          addConsulted(answerWebResults);
           const urls = citationIndices
             .map(idx => answerWebResults[idx - 1]?.url)
             .filter(Boolean);
@@ -1348,6 +2544,20 @@
         }
       }
     }
+
+    return [...consulted];
+  }
+
+  // Answer-level webResults (everything the answer consulted) from the prose node's React props
+  function findAnswerWebResults(rootEl) {
+    const fiberKey = Object.keys(rootEl).find(k => k.startsWith('__reactFiber'));
+    let fiber = fiberKey ? rootEl[fiberKey] : null;
+    for (let i = 0; i < 40 && fiber; i++) {
+      const webResults = fiber.memoizedProps?.webResults;
+      if (Array.isArray(webResults) && webResults.length > 0) return webResults;
+      fiber = fiber.return;
+    }
+    return null;
   }
 
   // Helper for Method 2: collect messages in DOM order within a pass
@@ -1383,9 +2593,10 @@
 
         // Annotate live citation elements with their URLs before cloning
         // (cloning strips React fiber refs, but data attributes survive)
-        annotateCitationUrls(node);
+        const consulted = annotateCitationUrls(node);
         const cloned = node.cloneNode(true);
-        const md = htmlToMarkdown(cloned.innerHTML, citationStyle, null).trim();
+        let md = withConsultedSources(htmlToMarkdown(cloned.innerHTML, citationStyle, null).trim(), consulted);
+        md = withVideoResults(withImageResults(md, findAnswerImageResults(node)), findAnswerVideoResults(node));
         if (!md) return;
         const hash = md.substring(0, 200) + md.substring(Math.max(0, md.length - 50)) + md.length;
 
@@ -1446,15 +2657,194 @@
     return results;
   }
 
+  // Method 3: Read the thread's own data (queries, answer markdown, web results) instead of the rendered HTML
+  async function extractByThreadState(citationStyle) {
+    try {
+      const entries = findThreadEntries();
+      console.log(`Thread state: found ${entries.length} entries`);
+      const conversation = [];
+
+      for (const entry of entries) {
+        // The Deep Research report is exported separately by exportDeepResearch
+        if (isDeepResearch() && /research/i.test(entry.mode || "")) continue;
+        const turn = readThreadEntry(entry);
+        if (!turn) continue;
+
+        const videos = turn.videoResults.map(readVideoResult).filter(Boolean);
+        globalCitations.recordWebResults([...turn.webResults, ...videos]);
+        const answer = formatThreadStateAnswer(turn.answer, turn.webResults, citationStyle);
+        conversation.push({ role: "User", content: turn.query });
+        const consulted = [...turn.webResults, ...videos].map((wr) => wr?.url).filter(Boolean);
+        const content = withImageResults(withConsultedSources(answer, consulted), turn.imageResults);
+        conversation.push({ role: "Assistant", content: withVideoResults(content, videos) });
+      }
+
+      return conversation;
+    } catch (e) {
+      console.warn("Thread state extraction failed:", e);
+      return [];
+    }
+  }
+
+  function isThreadEntry(value) {
+    return !!value && typeof value === "object" && typeof value.query_str === "string" && (Array.isArray(value.blocks) || typeof value.text === "string" || typeof value.answer === "string");
+  }
+
+  // Perplexity's entry objects for the thread, from React props or the Next.js page data; the longest list wins
+  function findThreadEntries() {
+    let best = [];
+    const consider = (list) => {
+      if (list.length > best.length && list.every(isThreadEntry)) best = list;
+    };
+
+    // The thread list component holds every entry, including ones scrolled out of the DOM
+    const mounted = new Map();
+    const nodes = document.querySelectorAll(".prose.text-pretty.dark\\:prose-invert, [class*='prose'][class*='prose-invert']");
+    for (const node of nodes) {
+      const fiberKey = Object.keys(node).find(k => k.startsWith('__reactFiber'));
+      let fiber = fiberKey ? node[fiberKey] : null;
+      for (let i = 0; i < 80 && fiber; i++) {
+        const props = fiber.memoizedProps;
+        if (props && typeof props === "object") {
+          for (const value of Object.values(props)) {
+            if (Array.isArray(value)) consider(value);
+            else if (isThreadEntry(value)) mounted.set(value.backend_uuid || value.uuid || value.query_str, value);
+          }
+        }
+        fiber = fiber.return;
+      }
+    }
+    // Fall back to the entries rendered individually, in page order
+    if (mounted.size > best.length) best = [...mounted.values()];
+
+    const nextData = document.getElementById("__NEXT_DATA__");
+    if (nextData) {
+      try {
+        const walk = (value, depth) => {
+          if (!value || typeof value !== "object" || depth > 12) return;
+          if (Array.isArray(value)) {
+            consider(value);
+            value.forEach((item) => walk(item, depth + 1));
+          } else {
+            Object.values(value).forEach((item) => walk(item, depth + 1));
+          }
+        };
+        walk(JSON.parse(nextData.textContent), 0);
+      } catch (e) {
+        console.warn("Thread state: could not read Next.js data", e);
+      }
+    }
+
+    return best;
+  }
+
+  // Query, answer markdown and web results from one thread entry (field names vary between page versions)
+  function readThreadEntry(entry) {
+    const parseJson = (value) => {
+      if (typeof value !== "string") return value || null;
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        return null;
+      }
+    };
+
+    let answer = typeof entry.answer === "string" ? entry.answer : "";
+    let webResults = Array.isArray(entry.web_results) ? entry.web_results : [];
+    let imageResults = Array.isArray(entry.image_results) ? entry.image_results : [];
+    let videoResults = Array.isArray(entry.video_results) ? entry.video_results : [];
+
+    for (const block of Array.isArray(entry.blocks) ? entry.blocks : []) {
+      const markdownBlock = block?.markdown_block;
+      if (markdownBlock && !answer) {
+        answer = markdownBlock.answer || (Array.isArray(markdownBlock.chunks) ? markdownBlock.chunks.join("") : "");
+      }
+      const blockResults = block?.web_result_block?.web_results;
+      if (Array.isArray(blockResults) && webResults.length === 0) webResults = blockResults;
+      const blockImages = block?.image_mode_block?.media_items || block?.media_block?.media_items;
+      if (Array.isArray(blockImages) && imageResults.length === 0) imageResults = blockImages;
+    }
+
+    // Older entries keep the answer as JSON in `text`, either directly or inside the final step
+    if (!answer && typeof entry.text === "string") {
+      let data = parseJson(entry.text);
+      if (Array.isArray(data)) {
+        const finalStep = data.find((step) => step?.step_type === "FINAL") || data[data.length - 1];
+        data = parseJson(finalStep?.content?.answer);
+      }
+      if (data && typeof data.answer === "string") {
+        answer = data.answer;
+        if (webResults.length === 0 && Array.isArray(data.web_results)) webResults = data.web_results;
+        if (imageResults.length === 0 && Array.isArray(data.image_results)) imageResults = data.image_results;
+        if (videoResults.length === 0 && Array.isArray(data.video_results)) videoResults = data.video_results;
+      }
+    }
+
+    const query = entry.query_str.trim();
+    if (!query || !answer.trim()) return null;
+    return { query, answer, webResults, imageResults, videoResults };
+  }
+
+  // Answer markdown cites web results as [1][2]; swap those runs for citation markers
+  function formatThreadStateAnswer(answer, webResults, citationStyle) {
+    // Skip [1](url) links and [text][1] / [1]: reference links
+    const citationRunPattern = /(?<!\])(?:\[\d+\])+(?![(\[:])/g;
+    let body = normalizeMathDelimiters(answer.replace(/\r\n?/g, "\n"));
+
+    // Code blocks and spans keep their brackets (arr[0][1] is not a citation run)
+    body = body
+      .split(/(```[\s\S]*?```|`[^`\n]+`)/)
+      .map((part, i) => {
+        if (i % 2 === 1) return part;
+        return part.replace(citationRunPattern, (run) => {
+          const urls = Array.from(run.matchAll(/\[(\d+)\]/g))
+            .map((m) => webResults[Number(m[1]) - 1]?.url)
+            .filter(Boolean);
+          if (urls.length === 0) return run;
+          if (citationStyle === CITATION_STYLES.NONE) return "";
+          return citationMarker(urls.map((url) => ({ number: globalCitations.addCitation(url), url })), citationStyle);
+        });
+      })
+      .join("");
+
+    // Normalize horizontal rules to *** and clean up excessive whitespace
+    return body.replace(/^---$/gm, "***").replace(/\n{3,}/g, "\n\n").trim();
+  }
+
   // MAIN EXTRACTION ORCHESTRATOR
   // Fallback chain based on user preference:
-  //   DIRECT_DOM: DOM scan -> export -> copy buttons
-  //   EXPORT:     export -> DOM scan -> copy buttons
-  //   COPY_BUTTONS: copy buttons -> export -> DOM scan
+  //   DIRECT_DOM: DOM scan -> export -> copy buttons -> thread state
+  //   EXPORT:     export -> DOM scan -> copy buttons -> thread state
+  //   COPY_BUTTONS: copy buttons -> export -> DOM scan -> thread state
+  //   THREAD_STATE: thread state -> DOM scan -> export -> copy buttons
   async function extractConversation(citationStyle) {
     globalCitations.reset();
     const prefs = getPreferences();
 
+    if (prefs.extractionMethod === EXTRACTION_METHODS.THREAD_STATE) {
+      console.log("Using Thread State extraction (user preference)...");
+      const viaState = await extractByThreadState(citationStyle);
+      console.log(`Thread State found ${viaState.length} items`);
+      if (viaState.length >= 2) return viaState;
+
+      console.log("Thread State insufficient, trying Direct DOM...");
+      globalCitations.reset();
+      const domSingle = await extractByDomScanSinglePass(citationStyle);
+      if (domSingle.length >= 2) return domSingle;
+
+      console.log("Direct DOM insufficient, trying export...");
+      globalCitations.reset();
+      const viaExport = await extractByThreadExport(citationStyle);
+      if (viaExport.length >= 2) return viaExport;
+
+      console.log("Export insufficient, trying copy buttons...");
+      globalCitations.reset();
+      const viaButtons = await extractByPageDownClickButtons(citationStyle);
+      if (viaButtons.length >= 2) return viaButtons;
+
+      return [];
+    }
+
     if (prefs.extractionMethod === EXTRACTION_METHODS.DIRECT_DOM) {
       console.log("Using Direct DOM extraction (user preference)...");
       const domSingle = await extractByDomScanSinglePass(citationStyle);
@@ -1471,6 +2861,11 @@
       const viaButtons = await extractByPageDownClickButtons(citationStyle);
       if (viaButtons.length >= 2) return viaButtons;
 
+      console.log("Copy buttons insufficient, trying thread state...");
+      globalCitations.reset();
+      const viaState = await extractByThreadState(citationStyle);
+      if (viaState.length >= 2) return viaState;
+
       return [];
     }
 
@@ -1490,6 +2885,11 @@
       const viaButtons = await extractByPageDownClickButtons(citationStyle);
       if (viaButtons.length >= 2) return viaButtons;
 
+      console.log("Copy buttons insufficient, trying thread state...");
+      globalCitations.reset();
+      const viaState = await extractByThreadState(citationStyle);
+      if (viaState.length >= 2) return viaState;
+
       return [];
     }
 
@@ -1508,6 +2908,11 @@
     const domSingle = await extractByDomScanSinglePass(citationStyle);
     if (domSingle.length >= 2) return domSingle;
 
+    console.log("DOM scan insufficient, trying thread state...");
+    globalCitations.reset();
+    const viaState = await extractByThreadState(citationStyle);
+    if (viaState.length >= 2) return viaState;
+
     return [];
   }
 
@@ -1535,6 +2940,7 @@
         const props = node.memoizedProps || node.pendingProps;
         if (props?.citationGroup) {
           if (props.webResults?.length > 0) {
+            globalCitations.recordWebResults(props.webResults);
             const urls = props.webResults.map(wr => wr.url).filter(Boolean);
             if (urls.length > 0) {
               const primaryNorm = normalizeUrl(urls[0]);
@@ -1553,6 +2959,7 @@
 
         if (citationIndices && props?.webResults && Array.isArray(props.webResults) && props.webResults.length >= 5) {
           answerWebResults = props.webResults;
+          globalCitations.recordWebResults(answerWebResults);
           const urls = citationIndices.map(idx => answerWebResults[idx - 1]?.url).filter(Boolean);
           if (urls.length > 0) {
             const fullText = (citEl.textContent || "").trim().toLowerCase();
@@ -1583,6 +2990,20 @@
     return extractMultiCitationMapFromRoot(responseRoot);
   }
 
+  // Rewrite LaTeX \( \) and \[ \] math delimiters as $ and $$, leaving code untouched
+  function normalizeMathDelimiters(markdown) {
+    return markdown
+      .split(/(```[\s\S]*?```|`[^`\n]+`)/)
+      .map((part, i) => {
+        if (i % 2 === 1) return part;
+        return part
+          // An escaped link-like bracket ("\[note\]") has no TeX in it
+          .replace(/\\\[([\s\S]+?)\\\]/g, (match, tex) => (/\n|[\\^_{}=]/.test(tex) ? `$$${tex.trim()}$$` : match))
+          .replace(/\\\(([^\n]+?)\\\)/g, (_m, tex) => `$${tex.trim()}$`);
+      })
+      .join("");
+  }
+
   // Process copied markdown and convert citations to desired style with global consolidation
   function processCopiedMarkdown(markdown, citationStyle, multiCitationMap = null) {
     // The copied format already has [N] citations and numbered URL references at bottom
@@ -1609,7 +3030,7 @@
     });
 
     // Remove the plain numbered references section and [N](url) citation blocks from the main content
-    let content = markdown
+    let content = normalizeMathDelimiters(markdown)
       .replace(/^\s*\d+\s+https?:\/\/[^\s\n]+$/gm, "") // Remove "1 https://example.com" lines
       .replace(/^\s*\[(\d+)\]\([^)]+\)$/gm, "") // Remove "[1](https://example.com)" lines
       .replace(/\n{3,}/g, "\n\n"); // Clean up extra newlines left behind
@@ -1633,59 +3054,15 @@
         }
       }
       return `[${localNum}]`;
-    });
-
-    // Helper builders per style for a run of local numbers
-    function buildEndnotesRun(localNums) {
-      return localNums
-        .map((n) => {
-          const g = localToGlobalMap.get(n) || n;
-          return `[${g}]`;
-        })
-        .join("");
-    }
-
-    function buildFootnotesRun(localNums) {
-      return localNums
-        .map((n) => {
-          const g = localToGlobalMap.get(n) || n;
-          return `[^${g}]`;
-        })
-        .join("");
-    }
-
-    function buildInlineRun(localNums) {
-      return localNums
-        .map((n) => {
-          const url = localReferences.get(n) || "";
-          const g = localToGlobalMap.get(n) || n;
-          return url ? `[${g}](${url})` : `[${g}]`;
-        })
-        .join("");
-    }
-
-    function buildParenthesizedRun(localNums) {
-      // Render each citation in its own parentheses: ([g1](u1)) ([g2](u2)) ...
-      return localNums
-        .map((n) => {
-          const url = localReferences.get(n) || "";
-          const g = localToGlobalMap.get(n) || n;
-          const core = url ? `[${g}](${url})` : `[${g}]`;
-          return `(${core})`;
-        })
-        .join(" ");
-    }
+    });
 
-    function buildNamedRun(localNums) {
-      // Render each citation in its own parentheses with domain name: ([domain1](u1)) ([domain2](u2)) ...
-      return localNums
-        .map((n) => {
-          const url = localReferences.get(n) || "";
-          const domain = extractDomainName(url) || "source";
-          const core = url ? `[${domain}](${url})` : `[${domain}]`;
-          return `(${core})`;
-        })
-        .join(" ");
+    // Style a run of local citation numbers
+    function buildRun(localNums) {
+      const entries = localNums.map((n) => ({
+        number: localToGlobalMap.get(n) || n,
+        url: localReferences.get(n) || "",
+      }));
+      return citationMarker(entries, citationStyle);
     }
 
     // Replace runs of citation tokens like [2][4][5] or with spaces between with style-specific output
@@ -1693,13 +3070,7 @@
     content = content.replace(/(?:\s*\[\d+\])+/g, (run) => {
       const nums = Array.from(run.matchAll(/\[(\d+)\]/g)).map((m) => m[1]);
       if (nums.length === 0) return run;
-      if (citationStyle === CITATION_STYLES.NONE) return ""; // Remove citations completely
-      if (citationStyle === CITATION_STYLES.ENDNOTES) return buildEndnotesRun(nums);
-      if (citationStyle === CITATION_STYLES.FOOTNOTES) return buildFootnotesRun(nums);
-      if (citationStyle === CITATION_STYLES.INLINE) return buildInlineRun(nums);
-      if (citationStyle === CITATION_STYLES.PARENTHESIZED) return buildParenthesizedRun(nums);
-      if (citationStyle === CITATION_STYLES.NAMED) return buildNamedRun(nums);
-      return run;
+      return buildRun(nums);
     });
 
     // Handle bare multi-citation text like "developer.mozilla+1" or "reddit+2" from newer clipboard
@@ -1715,19 +3086,17 @@
           localToGlobalMap.set(String(gn), gn);
           return gn;
         });
-        const localNums = globalNums.map(String);
-        if (citationStyle === CITATION_STYLES.NONE) return "";
-        if (citationStyle === CITATION_STYLES.ENDNOTES) return buildEndnotesRun(localNums);
-        if (citationStyle === CITATION_STYLES.FOOTNOTES) return buildFootnotesRun(localNums);
-        if (citationStyle === CITATION_STYLES.INLINE) return buildInlineRun(localNums);
-        if (citationStyle === CITATION_STYLES.PARENTHESIZED) return buildParenthesizedRun(localNums);
-        if (citationStyle === CITATION_STYLES.NAMED) return buildNamedRun(localNums);
-        return match;
+        return buildRun(globalNums.map(String));
       });
     }
 
     // Handle named citation links: [domain](url) format from newer Perplexity clipboard
     content = content.replace(/\[([^\]\n]{1,40})\]\((https?:\/\/[^)]+)\)/g, (match, text, url) => {
+      // Timestamped video citations are labelled with the time ("1:23") rather than a domain
+      const video = parseVideoUrl(url);
+      if (video && /^\d{1,2}(?::\d{2}){1,2}$/.test(text)) {
+        return citationMarker([{ number: globalCitations.addCitation(url), url, name: video.platform.toLowerCase() }], citationStyle);
+      }
       if (/^\d+$/.test(text) || /\s/.test(text) || !/^[a-zA-Z][a-zA-Z0-9._-]*(?:\+\d+)?$/.test(text)) return match;
 
       const companionUrls = multiCitationMap?.get(normalizeUrl(url));
@@ -1738,23 +3107,11 @@
           localToGlobalMap.set(String(gn), gn);
           return gn;
         });
-        const localNums = globalNums.map(String);
-        if (citationStyle === CITATION_STYLES.NONE) return "";
-        if (citationStyle === CITATION_STYLES.ENDNOTES) return buildEndnotesRun(localNums);
-        if (citationStyle === CITATION_STYLES.FOOTNOTES) return buildFootnotesRun(localNums);
-        if (citationStyle === CITATION_STYLES.INLINE) return buildInlineRun(localNums);
-        if (citationStyle === CITATION_STYLES.PARENTHESIZED) return buildParenthesizedRun(localNums);
-        if (citationStyle === CITATION_STYLES.NAMED) return buildNamedRun(localNums);
+        return buildRun(globalNums.map(String));
       }
 
-      const globalNum = globalCitations.addCitation(url);
-      if (citationStyle === CITATION_STYLES.NONE) return "";
-      if (citationStyle === CITATION_STYLES.ENDNOTES) return `[${globalNum}]`;
-      if (citationStyle === CITATION_STYLES.FOOTNOTES) return `[^${globalNum}]`;
-      if (citationStyle === CITATION_STYLES.INLINE) return `[${globalNum}](${url})`;
-      if (citationStyle === CITATION_STYLES.PARENTHESIZED) return `([${globalNum}](${url}))`;
-      if (citationStyle === CITATION_STYLES.NAMED) return `([${text}](${url}))`;
-      return match;
+      const globalNum = globalCitations.addCitation(url, text.toLowerCase());
+      return citationMarker([{ number: globalNum, url, name: text }], citationStyle);
     });
 
     // Clean up any excessive parentheses sequences that might have been created
@@ -1773,7 +3130,7 @@
         preserved.push({ content: match, isTable: false });
         return `%%COMPACT_${preserved.length - 1}%%`;
       });
-      content = content.replace(/\n\n(\|[^\n]+\n\|[^\n]+\n(?:\|[^\n]+\n?)*)/g, (_m, table) => {
+      content = content.replace(MARKDOWN_TABLE_BLOCK_PATTERN, (_m, table) => {
         preserved.push({ content: table, isTable: true });
         return `\n\n%%COMPACT_${preserved.length - 1}%%\n`;
       });
@@ -1781,7 +3138,7 @@
         .replace(/\n+/g, "\n")
         .replace(/\n\s*\n/g, "\n");
       preserved.forEach(({ content: block, isTable }, i) => {
-        content = content.replace(`%%COMPACT_${i}%%`, isTable ? `\n${block.trimEnd()}` : block);
+        content = content.replace(`%%COMPACT_${i}%%`, isTable ? `\n${block.trimEnd()}\n` : block);
       });
     }
 
@@ -1879,6 +3236,341 @@
     return result.join("\n");
   }
 
+  // ============================================================================
+  // HTML TO MARKDOWN NODE WALKER
+  // ============================================================================
+
+  // A GFM or HTML table after a blank line, protected from newline compaction; restored with blank lines around it
+  // so neighbouring text is never read as another row or swallowed into the HTML block
+  const MARKDOWN_TABLE_BLOCK_PATTERN = /\n\n(\|[^\n]+\n\|[^\n]+\n(?:\|[^\n]+\n?)*|<table>\n[\s\S]*?\n<\/table>\n?)/g;
+
+  // Never carry UI chrome (copy buttons, icons) into the export
+  const MARKDOWN_SKIPPED_TAGS = new Set(["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "BUTTON", "SVG", "INPUT", "SELECT", "TEXTAREA"]);
+
+  const MARKDOWN_BLOCK_TAGS = new Set([
+    "ADDRESS", "ARTICLE", "ASIDE", "BLOCKQUOTE", "DD", "DETAILS", "DIV", "DL", "DT", "FIELDSET", "FIGCAPTION", "FIGURE", "FOOTER", "FORM",
+    "H1", "H2", "H3", "H4", "H5", "H6", "HEADER", "HR", "LI", "MAIN", "NAV", "OL", "P", "PRE", "SECTION", "SUMMARY", "TABLE", "UL",
+  ]);
+
+  // Backslash-escape characters Markdown would read as formatting; citation markers pass through untouched
+  function escapeMarkdownText(text) {
+    return text
+      .replace(/[\\`*[\]~$]/g, "\\$&")
+      .replace(/<(?=[a-zA-Z/!?])/g, "\\<")
+      // Intraword underscores (snake_case) never start emphasis, so leave them readable
+      .replace(/_/g, (match, offset, source) =>
+        /[\p{L}\p{N}]/u.test(source[offset - 1] || "") && /[\p{L}\p{N}]/u.test(source[offset + 1] || "") ? match : "\\_"
+      );
+  }
+
+  // Text that would open a heading, quote, list or rule at the start of a line
+  function escapeMarkdownLineStarts(text) {
+    return text
+      .replace(/^([ \t]*)(#{1,6})(?=\s|$)/gm, "$1\\$2")
+      .replace(/^([ \t]*)>/gm, "$1\\>")
+      .replace(/^([ \t]*)([-+])(?=\s|$|-+\s*$)/gm, "$1\\$2")
+      .replace(/^([ \t]*)(\d+)([.)])(?=\s|$)/gm, "$1$2\\$3");
+  }
+
+  // KaTeX keeps the TeX source in a MathML annotation beside the rendered glyphs; emit that instead of both
+  function mathToMarkdown(el) {
+    const isMathMl = el.tagName.toUpperCase() === "MATH";
+    const isDisplay = el.classList.contains("katex-display") || (isMathMl && el.getAttribute("display") === "block");
+    if (!isDisplay && !isMathMl && !el.classList.contains("katex")) return null;
+
+    const annotation = el.querySelector('annotation[encoding="application/x-tex"]');
+    const tex = (annotation || el.querySelector("math") || el).textContent.replace(/\s+/g, " ").trim();
+    if (!tex) return "";
+    // Display math goes on its own line so it can't be read as part of a list or heading
+    return isDisplay ? `\n$$${tex}$$\n` : `$${tex}$`;
+  }
+
+  // Wrap inline content in emphasis delimiters, keeping edge whitespace and trailing citations outside
+  function wrapMarkdownInline(inner, delimiter) {
+    const [, leading, body, trailing] = inner.match(/^(\s*)([\s\S]*?)((?:\s*\uE000\d+\uE001)*\s*)$/);
+    return body ? `${leading}${delimiter}${body}${delimiter}${trailing}` : inner;
+  }
+
+  function formatInlineCode(code) {
+    const text = code.replace(/\n/g, " ");
+    if (!text.trim()) return "";
+    const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length));
+    const fence = "`".repeat(longestRun + 1);
+    const pad = text.startsWith("`") || text.endsWith("`") ? " " : "";
+    return `${fence}${pad}${text}${pad}${fence}`;
+  }
+
+  function formatMarkdownUrl(url) {
+    let resolved = url;
+    try {
+      resolved = new URL(url, window.location.href).href;
+    } catch (e) {
+      // Keep unparseable URLs as written
+    }
+    return resolved.replace(/\s/g, encodeURIComponent).replace(/\(/g, "%28").replace(/\)/g, "%29");
+  }
+
+  function inlineToMarkdown(node, ctx) {
+    if (node.nodeType === Node.TEXT_NODE) return escapeMarkdownText(node.textContent.replace(/\s+/g, " "));
+    if (node.nodeType !== Node.ELEMENT_NODE) return "";
+
+    const tag = node.tagName.toUpperCase();
+    if (MARKDOWN_SKIPPED_TAGS.has(tag)) return "";
+    const math = mathToMarkdown(node);
+    if (math !== null) return math;
+    const children = () => Array.from(node.childNodes).map((child) => inlineToMarkdown(child, ctx)).join("");
+
+    switch (tag) {
+      case "STRONG":
+      case "B":
+        return wrapMarkdownInline(children(), "**");
+      case "EM":
+      case "I":
+        return wrapMarkdownInline(children(), "*");
+      case "DEL":
+      case "S":
+      case "STRIKE":
+        return wrapMarkdownInline(children(), "~~");
+      case "CODE":
+        return formatInlineCode(node.textContent);
+      case "BR":
+        return ctx.inTable ? "<br>" : "\n";
+      case "A": {
+        const text = children().replace(/\s*\n\s*/g, " ").trim();
+        const href = node.getAttribute("href");
+        if (!href || href.startsWith("#") || /^javascript:/i.test(href)) return text;
+        return text ? `[${text}](${formatMarkdownUrl(href)})` : "";
+      }
+      case "IFRAME": {
+        // Embedded players become a link to the video, with its thumbnail when images are exported
+        const src = node.getAttribute("src") || node.getAttribute("data-src");
+        const video = src && parseVideoUrl(src);
+        if (!video) return "";
+        const link = formatMarkdownUrl(video.url);
+        const title = escapeMarkdownText((node.getAttribute("title") || `${video.platform} video`).replace(/\s+/g, " ").trim());
+        if (video.thumbnail && ctx.imageMode !== IMAGE_MODES.OFF) return `[![${title}](${formatMarkdownUrl(video.thumbnail)})](${link})`;
+        return `[${title}](${link})`;
+      }
+      case "IMG": {
+        // Lazy-loaded images keep the real URL in data-src until scrolled into view
+        const src = [node.getAttribute("src"), node.getAttribute("data-src")].find((value) => value && !value.startsWith("data:image/gif"));
+        const size = Math.max(Number(node.getAttribute("width")) || 0, Number(node.getAttribute("height")) || 0);
+        if (!src || ctx.imageMode === IMAGE_MODES.OFF || (size > 0 && size <= IMAGE_ICON_MAX_SIZE)) return "";
+        const alt = (node.getAttribute("alt") || node.getAttribute("title") || "").replace(/\s+/g, " ").trim();
+        return `![${escapeMarkdownText(alt)}](${formatMarkdownUrl(src)})`;
+      }
+      default:
+        return children();
+    }
+  }
+
+  // Tidy a run of inline Markdown into paragraph lines
+  function finishMarkdownParagraph(inline) {
+    return escapeMarkdownLineStarts(inline.split("\n").map((line) => line.trim()).join("\n").trim());
+  }
+
+  // Render an element's children as a list of Markdown blocks (to be joined by blank lines)
+  function blocksToMarkdown(node, ctx) {
+    const blocks = [];
+    let inline = "";
+    const flush = () => {
+      const paragraph = finishMarkdownParagraph(inline);
+      if (paragraph) blocks.push(paragraph);
+      inline = "";
+    };
+
+    for (const child of node.childNodes) {
+      if (child.nodeType === Node.ELEMENT_NODE && MARKDOWN_BLOCK_TAGS.has(child.tagName.toUpperCase())) {
+        flush();
+        blocks.push(...blockToMarkdown(child, ctx));
+      } else {
+        inline += inlineToMarkdown(child, ctx);
+      }
+    }
+    flush();
+
+    return blocks;
+  }
+
+  function blockToMarkdown(el, ctx) {
+    const tag = el.tagName.toUpperCase();
+    const inline = () => Array.from(el.childNodes).map((child) => inlineToMarkdown(child, ctx)).join("");
+
+    switch (tag) {
+      case "H1":
+      case "H2":
+      case "H3":
+      case "H4":
+      case "H5":
+      case "H6": {
+        // A heading line can't open another block, so it needs no line-start escapes
+        const text = inline().replace(/\s*\n\s*/g, " ").trim();
+        return text ? [`${"#".repeat(Number(tag[1]))} ${text}`] : [];
+      }
+      case "P": {
+        const text = finishMarkdownParagraph(inline());
+        // Perplexity renders some sub-headings as paragraphs that are entirely bold
+        if (!ctx.inList && !ctx.inTable && /^\*\*[^*\n]+\*\*$/.test(text)) return [`### ${text.slice(2, -2)}`];
+        return text ? [text] : [];
+      }
+      case "UL":
+      case "OL": {
+        const list = listToMarkdown(el, ctx);
+        return list ? [list] : [];
+      }
+      case "PRE":
+        return [codeBlockToMarkdown(el)];
+      case "BLOCKQUOTE": {
+        const inner = blocksToMarkdown(el, ctx).join("\n\n");
+        return inner ? [inner.split("\n").map((line) => (line ? `> ${line}` : ">")).join("\n")] : [];
+      }
+      case "HR":
+        return ["***"];
+      case "TABLE": {
+        const table = tableToMarkdown(el, ctx);
+        if (!table) return [];
+        // The file link goes above the table, where it can't be read as another row
+        const writesFile = !ctx.inTable && ctx.tableFiles !== TABLE_FILE_FORMATS.OFF;
+        return writesFile ? [tableMarkers.create(tableToRows(el)), table] : [table];
+      }
+      default:
+        return blocksToMarkdown(el, ctx);
+    }
+  }
+
+  // Nested blocks sit four spaces in, which CommonMark reads as belonging to the item for both - and 1. markers
+  function listToMarkdown(listEl, ctx) {
+    const ordered = listEl.tagName.toUpperCase() === "OL";
+    const start = parseInt(listEl.getAttribute("start"), 10);
+    let number = Number.isFinite(start) ? start : 1;
+    const items = [];
+
+    for (const li of listEl.children) {
+      if (li.tagName.toUpperCase() !== "LI") continue;
+      const marker = ordered ? `${number++}.` : "-";
+      const lines = blocksToMarkdown(li, { ...ctx, inList: true }).join("\n").split("\n");
+      items.push(lines.map((line, i) => (i === 0 ? `${marker} ${line}`.trimEnd() : line ? `    ${line}` : "")).join("\n"));
+    }
+
+    return items.join(ctx.itemGap);
+  }
+
+  function codeBlockToMarkdown(pre) {
+    const code = pre.querySelector("code") || pre;
+    const languageClass = `${code.getAttribute("class") || ""} ${pre.getAttribute("class") || ""}`.match(/language-([a-zA-Z0-9_+-]+)/);
+    const language = pre.dataset.language || (languageClass ? languageClass[1] : "");
+    const text = code.textContent.replace(/^\n+|\s+$/g, "");
+    const longestRun = Math.max(0, ...(text.match(/^`{3,}/gm) || []).map((run) => run.length));
+    const fence = "`".repeat(Math.max(3, longestRun + 1));
+    return `${fence}${language}\n${text}\n${fence}`;
+  }
+
+  // Cell content GFM can't hold on one line
+  const TABLE_BLOCK_SELECTOR = "ul, ol, pre, blockquote, table, h1, h2, h3, h4, h5, h6, hr";
+
+  const TABLE_ALIGN_SEPARATORS = { left: ":---", center: ":---:", right: "---:" };
+
+  function getCellAlignment(cell) {
+    const align = (cell?.getAttribute("align") || cell?.style.textAlign || "").toLowerCase();
+    return TABLE_ALIGN_SEPARATORS[align] ? align : null;
+  }
+
+  // Spanned cells, stacked header rows and block content don't fit GFM, so those tables stay HTML
+  function tableToMarkdown(table, ctx) {
+    const cellCtx = { ...ctx, inTable: true };
+    const rows = Array.from(table.rows)
+      .map((row) => ({ cells: Array.from(row.cells), header: row.parentElement.tagName.toUpperCase() === "THEAD" }))
+      .filter((row) => row.cells.length > 0);
+    if (rows.length === 0) return "";
+
+    const headerRows = rows.filter((row) => row.header);
+    const needsHtml =
+      headerRows.length > 1 || rows.some((row) => row.cells.some((cell) => cell.colSpan > 1 || cell.rowSpan !== 1 || cell.querySelector(TABLE_BLOCK_SELECTOR)));
+    if (needsHtml) return tableToHtml(rows, cellCtx);
+
+    // Without a <thead>, a first row of <th> cells is the header; otherwise an empty one is synthesized
+    const header = headerRows[0] || (rows[0].cells.every((cell) => cell.tagName.toUpperCase() === "TH") ? rows[0] : null);
+    const body = rows.filter((row) => row !== header);
+    const width = Math.max(...rows.map((row) => row.cells.length));
+    const alignmentRow = (header || body[0]).cells;
+
+    const cellText = (cell) => blocksToMarkdown(cell, cellCtx).join("<br>").replace(/\s*\n\s*/g, " ").replace(/\|/g, "\\|");
+    const formatRow = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] || " ").join(" | ")} |`;
+    const separator = Array.from({ length: width }, (_, i) => TABLE_ALIGN_SEPARATORS[getCellAlignment(alignmentRow[i])] || "---");
+
+    return [
+      formatRow(header ? header.cells.map(cellText) : []),
+      formatRow(separator),
+      ...body.map((row) => formatRow(row.cells.map(cellText))),
+    ].join("\n");
+  }
+
+  // Clean HTML table with each cell's content converted through Markdown, so only known tags and attributes survive
+  function tableToHtml(rows, cellCtx) {
+    const renderCell = (cell) => {
+      const tag = cell.tagName.toUpperCase() === "TH" ? "th" : "td";
+      const align = getCellAlignment(cell);
+      const attributes = [
+        cell.colSpan > 1 ? ` colspan="${cell.colSpan}"` : "",
+        cell.rowSpan !== 1 ? ` rowspan="${cell.rowSpan}"` : "",
+        align ? ` style="text-align: ${align}"` : "",
+      ].join("");
+      const html = markdownToHtml(blocksToMarkdown(cell, cellCtx).join("\n\n"));
+      const single = html.match(/^<p>([\s\S]*)<\/p>$/);
+      return `<${tag}${attributes}>${single && !single[1].includes("<p>") ? single[1] : html}</${tag}>`;
+    };
+    const renderRows = (group) => group.map((row) => `<tr>${row.cells.map(renderCell).join("")}</tr>`).join("\n");
+
+    const head = rows.filter((row) => row.header);
+    const body = rows.filter((row) => !row.header);
+    const html = [
+      "<table>",
+      head.length > 0 ? `<thead>\n${renderRows(head)}\n</thead>` : "",
+      body.length > 0 ? `<tbody>\n${renderRows(body)}\n</tbody>` : "",
+      "</table>",
+    ]
+      .filter(Boolean)
+      .join("\n");
+    // A blank line would end the HTML block in Markdown
+    return html.replace(/\n\s*\n/g, "\n");
+  }
+
+  // Plain-text grid of a table for CSV/TSV; spanned cells are left blank so columns still line up
+  function tableToRows(table) {
+    const grid = [];
+    Array.from(table.rows).forEach((row, r) => {
+      grid[r] = grid[r] || [];
+      let column = 0;
+      for (const cell of row.cells) {
+        while (grid[r][column] !== undefined) column++;
+        const text = getCellPlainText(cell);
+        for (let dr = 0; dr < Math.max(1, cell.rowSpan); dr++) {
+          const spanned = (grid[r + dr] = grid[r + dr] || []);
+          for (let dc = 0; dc < cell.colSpan; dc++) spanned[column + dc] = dr === 0 && dc === 0 ? text : "";
+        }
+        column += cell.colSpan;
+      }
+    });
+    return grid.slice(0, table.rows.length).map((cells) => Array.from(cells, (cell) => cell ?? ""));
+  }
+
+  function getCellPlainText(cell) {
+    const clone = cell.cloneNode(true);
+    clone.querySelectorAll(".katex-display, .katex, math").forEach((el) => el.replaceWith(mathToMarkdown(el)?.trim() || ""));
+    clone.querySelectorAll("button, script, style, svg").forEach((el) => el.remove());
+    // Keep words from separate lines or paragraphs apart
+    clone.querySelectorAll("br, p, li, div").forEach((el) => el.after(" "));
+    return clone.textContent.replace(CITATION_MARKER_PATTERN, "").replace(/\s+/g, " ").trim();
+  }
+
+  function formatDelimitedTable(rows, delimiter) {
+    const formatField =
+      delimiter === "\t"
+        ? (field) => field.replace(/[\t\r\n]+/g, " ")
+        : (field) => (/[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field);
+    return rows.map((row) => row.map(formatField).join(delimiter)).join("\r\n") + "\r\n";
+  }
+
   // Convert HTML content to markdown
   function htmlToMarkdown(html, citationStyle = CITATION_STYLES.PARENTHESIZED, multiCitationMap = null) {
     const tempDiv = document.createElement("div");
@@ -1977,6 +3669,7 @@
     });
 
     // Clean up citations based on style using URL-based numbering
+    const resolvedCitations = []; // [{ el, entries }] in document order
     tempDiv.querySelectorAll(".citation").forEach((el) => {
       let href = null;
       let sourceName = null;
@@ -2017,110 +3710,58 @@
       const elDataUrls = el.getAttribute('data-urls');
       const resolvedUrls = elDataUrls ? elDataUrls.split('|').filter(Boolean) : null;
 
+      const replaceWithRun = (entries) => {
+        if (entries.length > 0) resolvedCitations.push({ el, entries });
+      };
+      const entriesForUrls = (urls) => urls.map(u => ({ number: urlToNumber.get(normalizeUrl(u)), url: u })).filter(e => e.number);
+
       if (resolvedUrls && resolvedUrls.length > 0) {
-        const localNums = resolvedUrls.map(u => urlToNumber.get(normalizeUrl(u))).filter(Boolean);
-        if (localNums.length === 0) { el.replaceWith(""); return; }
-        let citationText = "";
-        if (citationStyle === CITATION_STYLES.NONE) {
-          citationText = "";
-        } else if (citationStyle === CITATION_STYLES.NAMED) {
-          citationText = localNums.map((_n, i) => {
-            const domain = extractDomainName(resolvedUrls[i]) || "source";
-            return `([${domain}](${resolvedUrls[i]}))`;
-          }).join(" ");
-          citationText = ` ${citationText} `;
-        } else if (citationStyle === CITATION_STYLES.INLINE) {
-          citationText = localNums.map((n, i) => `[${n}](${resolvedUrls[i]})`).join("");
-          citationText = ` ${citationText} `;
-        } else if (citationStyle === CITATION_STYLES.PARENTHESIZED) {
-          citationText = localNums.map((n, i) => `([${n}](${resolvedUrls[i]}))`).join(" ");
-          citationText = ` ${citationText} `;
-        } else if (citationStyle === CITATION_STYLES.FOOTNOTES) {
-          citationText = localNums.map(n => `[^${n}]`).join("");
-          citationText = ` ${citationText} `;
-        } else {
-          citationText = localNums.map(n => `[${n}]`).join("");
-          citationText = ` ${citationText} `;
-        }
-        el.replaceWith(citationText);
+        replaceWithRun(entriesForUrls(resolvedUrls));
       } else if (href) {
-        const normalizedUrl = normalizeUrl(href);
-        const number = urlToNumber.get(normalizedUrl);
-
+        const number = urlToNumber.get(normalizeUrl(href));
         if (number) {
-          let citationText = "";
-          if (citationStyle === CITATION_STYLES.NONE) {
-            citationText = "";
-          } else if (citationStyle === CITATION_STYLES.INLINE) {
-            citationText = ` [${number}](${href}) `;
-          } else if (citationStyle === CITATION_STYLES.PARENTHESIZED) {
-            citationText = ` ([${number}](${href})) `;
-          } else if (citationStyle === CITATION_STYLES.NAMED && sourceName) {
-            citationText = ` ([${sourceName}](${href})) `;
-          } else if (citationStyle === CITATION_STYLES.FOOTNOTES) {
-            citationText = ` [^${number}] `;
-          } else {
-            citationText = ` [${number}] `;
-          }
-          el.replaceWith(citationText);
+          replaceWithRun([{ number, url: href, name: sourceName }]);
         }
       } else if (isMultiCitation && multiCitationMap) {
         const elFullText = (el.textContent || "").trim().toLowerCase();
         const mapUrls = multiCitationMap.get(elFullText) || (sourceName && multiCitationMap.get(sourceName));
         if (mapUrls && mapUrls.length > 0) {
-          const localNums = mapUrls.map(u => urlToNumber.get(normalizeUrl(u))).filter(Boolean);
-          if (localNums.length === 0) { el.replaceWith(""); return; }
-          let citationText = "";
-          if (citationStyle === CITATION_STYLES.NONE) {
-            citationText = "";
-          } else if (citationStyle === CITATION_STYLES.NAMED) {
-            citationText = localNums.map((_n, i) => {
-              const domain = extractDomainName(mapUrls[i]) || "source";
-              return `([${domain}](${mapUrls[i]}))`;
-            }).join(" ");
-            citationText = ` ${citationText} `;
-          } else if (citationStyle === CITATION_STYLES.INLINE) {
-            citationText = localNums.map((n, i) => `[${n}](${mapUrls[i]})`).join("");
-            citationText = ` ${citationText} `;
-          } else if (citationStyle === CITATION_STYLES.PARENTHESIZED) {
-            citationText = localNums.map((n, i) => `([${n}](${mapUrls[i]}))`).join(" ");
-            citationText = ` ${citationText} `;
-          } else if (citationStyle === CITATION_STYLES.FOOTNOTES) {
-            citationText = localNums.map(n => `[^${n}]`).join("");
-            citationText = ` ${citationText} `;
-          } else {
-            citationText = localNums.map(n => `[${n}]`).join("");
-            citationText = ` ${citationText} `;
-          }
-          el.replaceWith(citationText);
+          replaceWithRun(entriesForUrls(mapUrls));
         }
       }
     });
 
-    tempDiv.querySelectorAll("li").forEach((li) => {
-      let depth = 0;
-      let parent = li.parentElement;
-      while (parent && parent !== tempDiv) {
-        if (parent.tagName && parent.tagName.toLowerCase() === "li") depth++;
-        parent = parent.parentElement;
-      }
-
-      const listParent = li.parentElement;
-      let marker = "-";
-      if (listParent && listParent.tagName && listParent.tagName.toLowerCase() === "ol") {
-        const siblings = Array.from(listParent.children).filter((child) => child.tagName && child.tagName.toLowerCase() === "li");
-        const index = siblings.indexOf(li);
-        marker = `${index >= 0 ? index + 1 : 1}.`;
+    // Adjacent citation chips (only whitespace between them) become one run, e.g. [@a; @b] rather than [@a] [@b].
+    // A chip's box is the outermost wrapper holding nothing but the chip.
+    const citationBox = (el) => {
+      let box = el;
+      while (box.parentElement && box.parentElement !== tempDiv && box.parentElement.childNodes.length === 1) box = box.parentElement;
+      return box;
+    };
+    const nextNonBlankSibling = (node) => {
+      let next = node.nextSibling;
+      while (next && next.nodeType === Node.TEXT_NODE && !next.textContent.trim()) next = next.nextSibling;
+      return next;
+    };
+    const runs = [];
+    for (const { el, entries } of resolvedCitations) {
+      const previous = runs[runs.length - 1];
+      if (previous?.el.contains(el)) continue;
+      const box = citationBox(el);
+      if (previous && nextNonBlankSibling(previous.box) === box) {
+        while (previous.box.nextSibling !== box) previous.box.nextSibling.remove();
+        box.remove();
+        previous.entries.push(...entries);
+        continue;
       }
+      runs.push({ el, box, entries: [...entries] });
+    }
+    // Replace each run's first chip with the styled run, padded so it doesn't fuse with surrounding words
+    for (const { el, entries } of runs) {
+      const citationText = citationMarker(entries, citationStyle);
+      el.replaceWith(citationText ? ` ${citationText} ` : "");
+    }
 
-      li.setAttribute("data-md-depth", String(depth));
-      li.setAttribute("data-md-marker", marker);
-    });
-
-    // Convert strong sections to headers and clean up content
-    let text = tempDiv.innerHTML;
-
-    //  Basic HTML conversion
     // Downgrade small-font h2s to h3 (Perplexity renders sub-sections as h2 with smaller font)
     tempDiv.querySelectorAll('h2').forEach(h2 => {
       const fontSize = window.getComputedStyle(h2).fontSize;
@@ -2130,292 +3771,793 @@
         h2.replaceWith(h3);
       }
     });
-    text = tempDiv.innerHTML;
 
+    const { imageMode, tableFiles, addExtraNewlines } = getPreferences();
+    const rootCtx = { inList: false, inTable: false, imageMode, tableFiles, itemGap: addExtraNewlines ? "\n\n" : "\n" };
+    let text = blocksToMarkdown(tempDiv, rootCtx).join("\n\n");
+
+    // Protect code blocks and tables from whitespace cleanup
+    const preserved = [];
+    text = text.replace(/```[\s\S]*?```/g, (match) => {
+      preserved.push(match);
+      return `%%PRESERVE_${preserved.length - 1}%%`;
+    });
+    text = text.replace(MARKDOWN_TABLE_BLOCK_PATTERN, (_m, table) => {
+      preserved.push(table);
+      return `\n\n%%PRESERVE_${preserved.length - 1}%%`;
+    });
+
+    // Clean up whitespace (outside code blocks/tables)
     text = text
-      .replace(/<h1[^>]*>([\s\S]*?)<\/h1>/g, "# $1")
-      .replace(/<h2[^>]*>([\s\S]*?)<\/h2>/g, "## $1")
-      .replace(/<h3[^>]*>([\s\S]*?)<\/h3>/g, "### $1")
-      .replace(/<h4[^>]*>([\s\S]*?)<\/h4>/g, "#### $1")
-      .replace(/<h5[^>]*>([\s\S]*?)<\/h5>/g, "##### $1")
-      .replace(/<h6[^>]*>([\s\S]*?)<\/h6>/g, "###### $1")
-      .replace(/<p[^>]*>([\s\S]*?)<\/p>/g, (_, content) => {
-        const prefs = getPreferences();
-        return prefs.addExtraNewlines ? `${content}\n\n` : `${content}\n`;
-      })
-      .replace(/<br\s*\/?>(?!\n)/g, () => {
-        const prefs = getPreferences();
-        return prefs.addExtraNewlines ? "\n\n" : "\n";
-      })
-      .replace(/<strong>([\s\S]*?)<\/strong>/g, "**$1**")
-      .replace(/<em>([\s\S]*?)<\/em>/g, "*$1*")
-      .replace(/<(?:ul|ol)[^>]*>([\s\S]*?)<\/(?:ul|ol)>/g, (_, content) => {
-        const prefs = getPreferences();
-        return prefs.addExtraNewlines ? `${content}\n\n` : `${content}\n`;
+      .replace(/^[\s\n]+|[\s\n]+$/g, "")
+      .replace(/[ \t]+$/gm, "")
+      .trim();
+
+    // Handle newline spacing based on user preference
+    const prefs = getPreferences();
+    if (prefs.addExtraNewlines) {
+      text = text.replace(/\n{3,}/g, "\n\n");
+    } else {
+      text = text
+        .replace(/\n+/g, "\n")
+        .replace(/\n\s*\n/g, "\n");
+    }
+
+    // Restore code blocks and tables (tables get blank line before them)
+    preserved.forEach((block, i) => {
+      const isTable = block.startsWith("|") || block.startsWith("<table>");
+      text = text.replace(`%%PRESERVE_${i}%%`, isTable ? `\n${block.trimEnd()}\n` : block);
+    });
+
+    if (citationStyle === CITATION_STYLES.INLINE || citationStyle === CITATION_STYLES.PARENTHESIZED || citationStyle === CITATION_STYLES.PANDOC || citationStyle === CITATION_STYLES.CUSTOM) {
+      // Remove extraneous space before a period, but preserve newlines
+      text = text.replace(/ (?=\.)/g, "");
+    }
+
+    // Citation markers and the Sources list are rendered at document level by formatMarkdown
+
+    return text;
+  }
+
+  // Format the complete markdown document
+  function formatMarkdown(conversations) {
+    const title = document.title.replace(" | Perplexity", "").trim();
+    const prefs = getPreferences();
+
+    const gap = prefs.addExtraNewlines ? "\n\n" : "\n";
+    const rule = "***";
+    let markdown = "";
+
+    // Pandoc citations need the references block, so that style always gets frontmatter
+    if (prefs.includeFrontmatter || prefs.citationStyle === CITATION_STYLES.PANDOC) {
+      markdown += `${buildFrontmatter(title, prefs.citationStyle)}${gap}`;
+    }
+
+    if (prefs.titleAsH1) {
+      markdown += `# ${title}${gap}`;
+    }
+
+    function compactContent(text) {
+      if (prefs.addExtraNewlines) return text;
+      // Protect code blocks and tables, then collapse extra newlines
+      const preserved = [];
+      let result = text.replace(/```[\s\S]*?```/g, (match) => {
+        preserved.push({ content: match, isTable: false });
+        return `%%COMPACT_${preserved.length - 1}%%`;
+      });
+      result = result.replace(MARKDOWN_TABLE_BLOCK_PATTERN, (_m, table) => {
+        preserved.push({ content: table, isTable: true });
+        return `\n\n%%COMPACT_${preserved.length - 1}%%\n`;
+      });
+      result = result.replace(/\n+/g, "\n").replace(/\n\s*\n/g, "\n");
+      preserved.forEach(({ content, isTable }, i) => {
+        result = result.replace(`%%COMPACT_${i}%%`, isTable ? `\n${content.trimEnd()}\n` : content);
       });
+      return result;
+    }
+
+    const resolved = resolveConversationCitations(conversations, prefs.citationStyle);
+    const { messages, numbering, perTurn } = resolved;
+    const listedAdditional = new Set();
+    const appendSources = (sourcesBlock) => {
+      if (sourcesBlock) {
+        markdown += `${prefs.citationStyle === CITATION_STYLES.FOOTNOTES ? "\n\n" : gap}${sourcesBlock.trim()}${gap}`;
+      }
+    };
+
+    messages.forEach((conv, index) => {
+      if (conv.role === "Assistant") {
+        let cleanContent = indentListContinuations(compactContent(conv.content.trim()));
+
+        if (cleanContent.match(/^#+ /) && prefs.formatStyle === FORMAT_STYLES.FULL) {
+          markdown += `**${conv.role}:**${gap}${cleanContent}${gap}`;
+        } else if (prefs.formatStyle === FORMAT_STYLES.FULL) {
+          markdown += `**${conv.role}:** ${cleanContent}${gap}`;
+        } else {
+          markdown += `${cleanContent}${gap}`;
+        }
+
+        if (perTurn) appendSources(buildSourcesBlock(prefs.citationStyle, conv.numbering));
+        if (prefs.additionalSources === ADDITIONAL_SOURCES_MODES.PER_TURN) {
+          appendSources(buildAdditionalSourcesBlock(conv.consulted, listedAdditional));
+        }
+
+        const nextAssistant = messages.slice(index + 1).find((c) => c.role === "Assistant");
+        if (nextAssistant) {
+          markdown += `${rule}${gap}`;
+        }
+      } else if (conv.role === "User" && prefs.formatStyle === FORMAT_STYLES.FULL) {
+        markdown += `**${conv.role}:** ${conv.content.trim()}${gap}${rule}${gap}`;
+      }
+    });
+
+    if (!perTurn) appendSources(buildSourcesBlock(prefs.citationStyle, numbering, resolved));
+    if (prefs.additionalSources !== ADDITIONAL_SOURCES_MODES.OFF) {
+      appendSources(buildAdditionalSourcesBlock(globalCitations.consulted.values(), listedAdditional));
+    }
+    if (prefs.includeCitationStats) appendSources(buildCitationStatsBlock(resolved));
+
+    return markdown.trim(); // Trim any trailing whitespace at the very end
+  }
+
+  // ============================================================================
+  // OUTPUT FORMAT RENDERING
+  // ============================================================================
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  // Split a leading YAML frontmatter block off the markdown
+  function splitFrontmatter(markdown) {
+    const match = markdown.match(/^---\n([\s\S]*?)\n---(?:\n|$)/);
+    if (!match) return { fields: [], body: markdown };
+
+    // Only top-level scalar keys are shown; nested YAML is left out of the header
+    const fields = [];
+    for (const line of match[1].split("\n")) {
+      const field = line.match(/^([A-Za-z_][\w-]*):\s+(.+)$/);
+      if (field) fields.push({ key: field[1], value: field[2].trim() });
+    }
+    return { fields, body: markdown.slice(match[0].length) };
+  }
+
+  // Render inline markdown (code, links, citations, emphasis) to HTML
+  // `keepTags` renders a custom-template citation, whose inline tags stay HTML; `tableCell` keeps the cell's <br>s
+  function renderInlineMarkdown(text, { keepTags = false, tableCell = false } = {}) {
+    const stash = [];
+    const hold = (html) => {
+      stash.push(html);
+      return `\u0000${stash.length - 1}\u0000`;
+    };
+
+    // Custom-template citations are found by their exact text, so tags typed in the answer itself stay text
+    if (!keepTags) {
+      for (const run of [...citationMarkers.templateRuns].sort((a, b) => b.length - a.length)) {
+        if (text.includes(run)) text = text.split(run).join(hold(renderInlineMarkdown(run, { keepTags: true })));
+      }
+    }
+
+    // Images first, so a linked image is a plain link label; their placeholders survive the label's own rendering
+    const images = [];
+    let html = text.replace(MARKDOWN_IMAGE_PATTERN, (_m, alt, url) => {
+      if (!isSafeImageUrl(url)) return escapeHtml(alt.replace(/\\(.)/g, "$1"));
+      images.push(`<img src="${escapeHtml(url)}" alt="${escapeHtml(alt.replace(/\\(.)/g, "$1"))}">`);
+      return `\u0001${images.length - 1}\u0001`;
+    });
+    // Links with other schemes (javascript: and the like) keep only their text
+    html = html.replace(/\[((?:\\.|[^\]\\\n])*)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (_m, label, url) =>
+      hold(isSafeLinkUrl(url) ? `<a href="${escapeHtml(url)}">${renderInlineMarkdown(label, { keepTags })}</a>` : renderInlineMarkdown(label, { keepTags }))
+    );
+    html = html.replace(/`([^`\n]+)`/g, (_m, code) => hold(`<code>${escapeHtml(code)}</code>`));
+    // TeX is left as written (for MathJax/KaTeX to typeset) rather than read as emphasis
+    html = html.replace(/\$\$[^$\n]+\$\$|(?<![\\$])\$[^$\s](?:[^$\n]*[^$\s\\])?\$(?!\d)/g, (math) => hold(escapeHtml(math)));
+    // Backslash escapes (e.g. \[ in titles) stand for the literal character
+    html = html.replace(/\\([\\`*_{}[\]()#+\-.!|~<>$])/g, (_m, char) => hold(escapeHtml(char)));
+    html = escapeHtml(html);
+    if (keepTags) html = html.replace(/&lt;(\/?)(sup|sub|small|mark|kbd|u|br)&gt;/g, "<$1$2>");
+    if (tableCell) html = html.replace(/&lt;br&gt;/g, "<br>");
+
+    html = html.replace(/\[\^([^\]\s]+)\]/g, (_m, label) => hold(`<sup class="footnote-ref"><a href="#fn-${label}" id="fnref-${label}">${label}</a></sup>`));
+    html = html.replace(/\[(\d+)\]/g, (_m, number) => hold(`<a class="citation" href="#source-${number}">[${number}]</a>`));
+    html = html.replace(/\bhttps?:\/\/[^\s<]+[^\s<.,;:!?)]/g, (url) => hold(`<a href="${url}">${url}</a>`));
+
+    html = html
+      .replace(/\*\*([^*\n]+)\*\*/g, "<strong>$1</strong>")
+      .replace(/(^|[^*\w])\*([^*\n]+)\*(?!\w)/g, "$1<em>$2</em>")
+      .replace(/~~([^~\n]+)~~/g, "<del>$1</del>");
+
+    return html.replace(/\u0000(\d+)\u0000/g, (_m, i) => stash[Number(i)]).replace(/\u0001(\d+)\u0001/g, (match, i) => images[Number(i)] ?? match);
+  }
+
+  function renderMarkdownTable(lines) {
+    const splitRow = (line) =>
+      line
+        .trim()
+        .replace(/^\|/, "")
+        .replace(/\|$/, "")
+        .split(/(?<!\\)\|/)
+        .map((cell) => cell.trim().replace(/\\\|/g, "|"));
+
+    const header = splitRow(lines[0]);
+    const aligns = splitRow(lines[1]).map((cell) => {
+      if (/^:-+:$/.test(cell)) return "center";
+      if (/^-+:$/.test(cell)) return "right";
+      if (/^:-+$/.test(cell)) return "left";
+      return null;
+    });
+    const cellTag = (tag, cell, i) => {
+      const style = aligns[i] ? ` style="text-align: ${aligns[i]}"` : "";
+      return `<${tag}${style}>${renderInlineMarkdown(cell, { tableCell: true })}</${tag}>`;
+    };
+
+    let html = `<table>\n<thead><tr>${header.map((c, i) => cellTag("th", c, i)).join("")}</tr></thead>\n<tbody>\n`;
+    for (const line of lines.slice(2)) {
+      html += `<tr>${splitRow(line).map((c, i) => cellTag("td", c, i)).join("")}</tr>\n`;
+    }
+    return `${html}</tbody>\n</table>`;
+  }
+
+  // Nested lists are rebuilt from marker indentation (see indentListContinuations)
+  function renderMarkdownList(lines) {
+    const parts = [];
+    const stack = []; // { indent, tag }
+
+    const closeList = () => {
+      const list = stack.pop();
+      parts.push(`</li></${list.tag}>`);
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const item = line.match(/^(\s*)([-*+]|(\d+)\.)\s+(.*)$/);
+
+      if (!item) {
+        if (!line.trim()) continue;
+        if (/^\s*```/.test(line)) {
+          const fence = [];
+          for (i++; i < lines.length && !/^\s*```/.test(lines[i]); i++) fence.push(lines[i].trim() === "" ? "" : lines[i].replace(/^\s{0,8}/, ""));
+          parts.push(`<pre><code>${escapeHtml(fence.join("\n"))}</code></pre>`);
+          continue;
+        }
+        parts.push(`<br>${renderInlineMarkdown(line.trim())}`);
+        continue;
+      }
+
+      const indent = item[1].length;
+      const tag = item[3] ? "ol" : "ul";
+      while (stack.length && indent < stack[stack.length - 1].indent) closeList();
+
+      if (!stack.length || indent > stack[stack.length - 1].indent) {
+        const start = item[3] && item[3] !== "1" ? ` start="${item[3]}"` : "";
+        parts.push(`<${tag}${start}>`);
+        stack.push({ indent, tag });
+      } else {
+        parts.push("</li>");
+      }
+      parts.push(`<li>${renderInlineMarkdown(item[4])}`);
+    }
+
+    while (stack.length) closeList();
+    return parts.join("");
+  }
+
+  // Only web, mail, in-page and relative links survive into the HTML export
+  function isSafeLinkUrl(url) {
+    const scheme = String(url).trim().match(/^([a-z][a-z0-9+.-]*):/i)?.[1].toLowerCase();
+    return !scheme || scheme === "http" || scheme === "https" || scheme === "mailto";
+  }
+
+  function isSafeImageUrl(url) {
+    const trimmed = String(url).trim();
+    return (isSafeLinkUrl(trimmed) && !/^mailto:/i.test(trimmed)) || /^data:image\/(?!svg)[\w.+-]+;base64,/i.test(trimmed);
+  }
+
+  // Tags an HTML table in the markdown may keep: what tableToHtml and the cell markdown render to
+  const SAFE_TABLE_HTML_TAGS = new Set([
+    "TABLE", "THEAD", "TBODY", "TFOOT", "TR", "TH", "TD", "P", "BR", "HR", "STRONG", "B", "EM", "I", "DEL", "S", "CODE", "PRE",
+    "A", "IMG", "UL", "OL", "LI", "BLOCKQUOTE", "H1", "H2", "H3", "H4", "H5", "H6", "SUP", "SUB", "SMALL", "MARK", "KBD", "U",
+  ]);
+  const VOID_HTML_TAGS = new Set(["BR", "HR", "IMG"]);
+
+  // The markdown's HTML tables may come straight from an answer (Export, Copy and State extraction keep its
+  // markdown as written), so they're rebuilt from allowed tags and attributes with all text escaped
+  function sanitizeTableHtml(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html;
+
+    const allowedAttribute = (name, value) => {
+      switch (name) {
+        case "colspan":
+        case "rowspan":
+        case "value":
+          return /^\d+$/.test(value);
+        case "style":
+          return /^text-align:\s*(?:left|center|right);?$/i.test(value.trim());
+        case "class":
+        case "id":
+          return /^[\w -]+$/.test(value);
+        case "href":
+          return isSafeLinkUrl(value);
+        case "src":
+          return isSafeImageUrl(value);
+        case "alt":
+        case "title":
+          return true;
+        default:
+          return false;
+      }
+    };
+
+    const render = (node) => {
+      if (node.nodeType === Node.TEXT_NODE) return escapeHtml(node.textContent);
+      if (node.nodeType !== Node.ELEMENT_NODE) return "";
+      const tag = node.tagName.toUpperCase();
+      if (MARKDOWN_SKIPPED_TAGS.has(tag)) return "";
+      const children = Array.from(node.childNodes).map(render).join("");
+      if (!SAFE_TABLE_HTML_TAGS.has(tag)) return children;
+
+      const name = tag.toLowerCase();
+      const attributes = Array.from(node.attributes)
+        .filter(({ name: attribute, value }) => allowedAttribute(attribute.toLowerCase(), value))
+        .map(({ name: attribute, value }) => ` ${attribute.toLowerCase()}="${escapeHtml(value)}"`)
+        .join("");
+      return VOID_HTML_TAGS.has(tag) ? `<${name}${attributes}>` : `<${name}${attributes}>${children}</${name}>`;
+    };
+
+    return Array.from(template.content.childNodes).map(render).join("").trim();
+  }
+
+  // Convert the exported markdown document body to HTML
+  function markdownToHtml(markdown) {
+    const lines = markdown.replace(/\r\n?/g, "\n").split("\n");
+    const blocks = [];
+    const footnotes = [];
+    const isListLine = (line) => /^\s*(?:[-*+]|\d+\.)\s+/.test(line);
+    const isBlockStart = (line) =>
+      /^\s*```/.test(line) || /^<table>/.test(line) || /^#{1,6}\s/.test(line) || /^(?:\*\*\*|---|___)\s*$/.test(line) || /^>/.test(line) || /^\[\^[^\]]+\]:/.test(line) || /^\[\d+\]\s/.test(line) || /^\|/.test(line) || isListLine(line);
+
+    let i = 0;
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      const fence = line.match(/^\s*```\s*([\w+-]*)/);
+      if (fence) {
+        const code = [];
+        for (i++; i < lines.length && !/^\s*```\s*$/.test(lines[i]); i++) code.push(lines[i]);
+        i++;
+        const langClass = fence[1] ? ` class="language-${escapeHtml(fence[1])}"` : "";
+        blocks.push(`<pre><code${langClass}>${escapeHtml(code.join("\n"))}</code></pre>`);
+        continue;
+      }
+
+      // Tables that don't fit GFM were exported as HTML already
+      if (/^\s*<table>/.test(line)) {
+        let depth = 0;
+        const tableLines = [];
+        for (; i < lines.length; i++) {
+          tableLines.push(lines[i]);
+          depth += (lines[i].match(/<table>/g) || []).length - (lines[i].match(/<\/table>/g) || []).length;
+          if (depth <= 0) break;
+        }
+        i++;
+        blocks.push(sanitizeTableHtml(tableLines.map((tableLine) => tableLine.trim()).join("\n")));
+        continue;
+      }
+
+      const heading = line.match(/^(#{1,6})\s+(.*)$/);
+      if (heading) {
+        const level = heading[1].length;
+        // A level 3 heading over a numbered source list (possibly under group subheadings) opens a Sources section
+        let next = i + 1;
+        while (next < lines.length && (!lines[next].trim() || /^####\s/.test(lines[next]))) next++;
+        const sourcesClass = level === 3 && /^\[\d+\]\s/.test(lines[next] || "") ? ' class="sources"' : "";
+        blocks.push(`<h${level}${sourcesClass}>${renderInlineMarkdown(heading[2].trim())}</h${level}>`);
+        i++;
+        continue;
+      }
 
-    // Process <li> tags innermost-first to handle nesting correctly
-    const liReplace = (match, content) => {
-      const prefs = getPreferences();
-      const depthMatch = match.match(/data-md-depth="(\d+)"/);
-      const markerMatch = match.match(/data-md-marker="([^"]+)"/);
-      const depth = depthMatch ? parseInt(depthMatch[1], 10) : 0;
-      const marker = markerMatch ? markerMatch[1] : "-";
-      const itemPrefix = `${"    ".repeat(depth)}${marker} `;
-      const continuationPrefix = `${"    ".repeat(depth)}  `;
-
-      const normalized = content.trim().replace(/\n\n/g, '\n');
-      const normalizedLines = normalized ? normalized.split("\n") : [""];
-      const formatted = normalizedLines
-        .map((line, index) => {
-          if (line === "") return "";
-          if (index === 0) return `${itemPrefix}${line}`;
-
-          const currentIndent = (line.match(/^\s*/) || [""])[0].length;
-          return currentIndent < continuationPrefix.length
-            ? " ".repeat(continuationPrefix.length - currentIndent) + line
-            : line;
-        })
-        .join("\n");
-
-      return prefs.addExtraNewlines ? `${formatted}\n\n` : `${formatted}\n`;
-    };
-    while (/<li[^>]*>/.test(text)) {
-      text = text.replace(/<li[^>]*>((?:(?!<li)[\s\S])*?)<\/li>/g, liReplace);
-    }
-
-    // Handle tables before removing remaining HTML
-    text = text.replace(/<table[^>]*>([\s\S]*?)<\/table>/g, (match) => {
-      const tableDiv = document.createElement("div");
-      tableDiv.innerHTML = match;
-      const rows = [];
-
-      // Process header rows
-      const headerRows = tableDiv.querySelectorAll("thead tr");
-      if (headerRows.length > 0) {
-        headerRows.forEach((row) => {
-          const cells = [...row.querySelectorAll("th, td")].map((cell) => {
-            let html = cell.innerHTML;
-            html = html.replace(/<code>(.*?)<\/code>/g, '`$1`');
-            html = html.replace(/<strong>(.*?)<\/strong>/g, '**$1**');
-            html = html.replace(/<em>(.*?)<\/em>/g, '*$1*');
-            html = html.replace(/<[^>]+>/g, '');
-            html = html.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
-            return html.trim() || ' ';
-          });
-          if (cells.length > 0) {
-            rows.push(`| ${cells.join(" | ")} |`);
-            // Add separator row after headers
-            rows.push(`| ${cells.map(() => "---").join(" | ")} |`);
-          }
-        });
+      if (/^(?:\*\*\*|---|___)\s*$/.test(line)) {
+        blocks.push("<hr>");
+        i++;
+        continue;
       }
 
-      // Process body rows
-      const bodyRows = tableDiv.querySelectorAll("tbody tr");
-      bodyRows.forEach((row) => {
-        const cells = [...row.querySelectorAll("td")].map((cell) => {
-          let html = cell.innerHTML;
-          html = html.replace(/<code>(.*?)<\/code>/g, '`$1`');
-          html = html.replace(/<strong>(.*?)<\/strong>/g, '**$1**');
-          html = html.replace(/<em>(.*?)<\/em>/g, '*$1*');
-          html = html.replace(/<[^>]+>/g, '');
-          html = html.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
-          return html.trim() || ' ';
-        });
-        if (cells.length > 0) {
-          rows.push(`| ${cells.join(" | ")} |`);
+      const footnote = line.match(/^\[\^([^\]]+)\]:\s*(.*)$/);
+      if (footnote) {
+        const content = [footnote[2]];
+        for (i++; i < lines.length && /^ {4}\S/.test(lines[i]); i++) content.push(lines[i].slice(4));
+        footnotes.push({ label: footnote[1], html: markdownToHtml(content.join("\n")) });
+        continue;
+      }
+
+      if (/^\[\d+\]\s/.test(line)) {
+        const items = [];
+        while (i < lines.length) {
+          if (/^\[\d+\]\s/.test(lines[i])) {
+            const [, number, content] = lines[i].match(/^\[(\d+)\]\s+(.*)$/);
+            // Snippet quotes follow their entry as "> " lines
+            const quote = [];
+            for (i++; i < lines.length && /^>/.test(lines[i]); i++) quote.push(lines[i].replace(/^>\s?/, ""));
+            const quoteHtml = quote.length > 0 ? `<blockquote>${renderInlineMarkdown(quote.join(" "))}</blockquote>` : "";
+            items.push(`<li id="source-${number}" value="${number}">${renderInlineMarkdown(content)}${quoteHtml}</li>`);
+          } else if (!lines[i].trim() && /^\[\d+\]\s/.test(lines[i + 1] || "")) {
+            i++;
+          } else {
+            break;
+          }
         }
-      });
+        blocks.push(`<ol class="sources">\n${items.join("\n")}\n</ol>`);
+        continue;
+      }
 
-      // Return markdown table with proper spacing
-      return rows.length > 0 ? `\n\n${rows.join("\n")}\n\n` : "";
-    });
+      if (/^\|/.test(line) && i + 1 < lines.length && /^\|?\s*:?-{3,}/.test(lines[i + 1])) {
+        const tableLines = [];
+        for (; i < lines.length && /^\|/.test(lines[i]); i++) tableLines.push(lines[i]);
+        blocks.push(renderMarkdownTable(tableLines));
+        continue;
+      }
 
-    // Continue with remaining HTML conversion
-    text = text
-      .replace(/<pre[^>]*?(?:data-language|class\s*=\s*"[^"]*language-)(?:[="]\s*)([a-zA-Z0-9_+-]+)[^>]*>(?:\s*<code[^>]*>)?([\s\S]*?)(?:<\/code>\s*)?<\/pre>/g, (_, lang, code) => {
-        const decoded = code.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
-        return '```' + lang + '\n' + decoded.trim() + '\n```';
-      })
-      .replace(/<pre[^>]*>(?:\s*<code[^>]*>)?([\s\S]*?)(?:<\/code>\s*)?<\/pre>/g, (_, code) => {
-        const decoded = code.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
-        return '```\n' + decoded.trim() + '\n```';
-      })
-      .replace(/<code>(.*?)<\/code>/g, "`$1`")
-      .replace(/<a\s+(?:[^>]*?\s+)?href="([^"]*)"[^>]*>(.*?)<\/a>/g, "[$2]($1)")
-      .replace(/<[^>]+>/g, "")
-      .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&');
-
-    // Fix malformed code fences where language appears before backticks (e.g. "powershell```")
-    text = text.replace(/^\s*([a-zA-Z0-9_+-]+)```\s*$/gm, '```$1');
-    // Strip leading whitespace from code fences and ensure they're on their own line
-    text = text.replace(/^[^\S\n]*(```[a-zA-Z0-9_+-]*)\s*$/gm, '$1');
-    text = text.replace(/^[^\S\n]*(```)\s*$/gm, '$1');
-    // Trim trailing blank lines inside code blocks
-    text = text.replace(/(```[a-zA-Z0-9_+-]*\n)([\s\S]*?)\n\n```/g,
-      (_, open, body) => open + body.trimEnd() + '\n```');
-
-
-    // Convert bold text at start of line to h3 headers, but not if inside a list item
-    text = text.replace(/^(\s*)\*\*([^*\n]+)\*\*(?!.*\n\s*-)/gm, "$1### $2");
-
-    // This fixes list items where the entire text was incorrectly converted to headers
-    // We need to preserve both partial bold items and fully bold items
-    text = text.replace(/^(\s*-\s+)###\s+([^\n]+)/gm, function (_, listPrefix, content) {
-      // Check if the content contains bold markers
-      if (content.includes("**")) {
-        // If it already has bold markers, just remove the ### and keep the rest intact
-        return `${listPrefix}${content}`;
-      } else {
-        // If it doesn't have bold markers (because it was fully bold before),
-        // add them back (this was incorrectly converted to a header)
-        return `${listPrefix}**${content}**`;
+      if (/^>/.test(line)) {
+        const quote = [];
+        for (; i < lines.length && /^>/.test(lines[i]); i++) quote.push(lines[i].replace(/^>\s?/, ""));
+        blocks.push(`<blockquote>\n${markdownToHtml(quote.join("\n"))}\n</blockquote>`);
+        continue;
       }
-    });
 
-    // Fix list spacing (no extra newlines between items)
-    text = text.replace(/\n[ \t]-\s+/g, "\n- ");
+      if (isListLine(line)) {
+        const listLines = [];
+        for (; i < lines.length; i++) {
+          const current = lines[i];
+          if (isListLine(current) || /^\s+\S/.test(current)) {
+            listLines.push(current);
+          } else if (!current.trim() && i + 1 < lines.length && (isListLine(lines[i + 1]) || /^\s+\S/.test(lines[i + 1]))) {
+            listLines.push(current);
+          } else {
+            break;
+          }
+        }
+        blocks.push(renderMarkdownList(listLines));
+        continue;
+      }
 
-    // Ensure headers have proper spacing
-    text = text.replace(/([^\n])(\n#{1,3} )/g, "$1\n\n$2");
+      const paragraph = [];
+      for (; i < lines.length && lines[i].trim() && (paragraph.length === 0 || !isBlockStart(lines[i])); i++) {
+        paragraph.push(renderInlineMarkdown(lines[i].trim()));
+      }
+      blocks.push(`<p>${paragraph.join("<br>\n")}</p>`);
+    }
 
-    // Fix unbalanced or misplaced bold markers in list items
-    text = text.replace(/^(\s*-\s+.*?)(\s\*\*\s*)$/gm, "$1"); // Remove trailing ** with space before
+    if (footnotes.length > 0) {
+      const items = footnotes.map(({ label, html }) => `<li id="fn-${escapeHtml(label)}">${html} <a class="footnote-back" href="#fnref-${escapeHtml(label)}">↩</a></li>`);
+      blocks.push(`<section class="footnotes">\n<hr>\n<ol>\n${items.join("\n")}\n</ol>\n</section>`);
+    }
 
-    // Fix citation and bold issues - make sure citations aren't wrapped in bold
-    text = text.replace(/\*\*([^*]+)(\[[0-9]+\]\([^)]+\))\s*\*\*/g, "**$1**$2");
-    text = text.replace(/\*\*([^*]+)(\(\[[0-9]+\]\([^)]+\)\))\s*\*\*/g, "**$1**$2");
+    return blocks.join("\n");
+  }
 
-    // Fix cases where a line ends with an extra bold marker after a citation
-    text = text.replace(/(\[[0-9]+\]\([^)]+\))\s*\*\*/g, "$1");
-    text = text.replace(/(\(\[[0-9]+\]\([^)]+\)\))\s*\*\*/g, "$1");
+  const HTML_EXPORT_STYLES = `
+    body { margin: 0; background: #fcfcf9; color: #1f2121; font: 16px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; }
+    article { max-width: 760px; margin: 0 auto; padding: 32px 20px 64px; }
+    h1, h2, h3, h4, h5, h6 { line-height: 1.25; margin: 1.6em 0 0.6em; }
+    a { color: #20808d; }
+    a.citation, .footnote-ref a { text-decoration: none; }
+    hr { border: 0; border-top: 1px solid #d9d9d4; margin: 2em 0; }
+    pre { background: #f1f1ec; padding: 12px 14px; border-radius: 6px; overflow-x: auto; }
+    code { font: 0.9em/1.5 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+    :not(pre) > code { background: #f1f1ec; padding: 0.1em 0.3em; border-radius: 4px; }
+    blockquote { margin: 1em 0; padding: 0 1em; border-left: 3px solid #d9d9d4; color: #5a5e5f; }
+    table { border-collapse: collapse; margin: 1em 0; display: block; overflow-x: auto; }
+    th, td { border: 1px solid #d9d9d4; padding: 6px 10px; text-align: left; vertical-align: top; }
+    th { background: #f1f1ec; }
+    .frontmatter { font-size: 0.9em; color: #5a5e5f; border-bottom: 1px solid #d9d9d4; margin-bottom: 1.5em; }
+    .frontmatter dl { display: grid; grid-template-columns: max-content 1fr; gap: 2px 12px; margin: 0 0 1em; }
+    .frontmatter dt { font-weight: 600; }
+    .frontmatter dd { margin: 0; overflow-wrap: anywhere; }
+    ol.sources, .footnotes { font-size: 0.9em; overflow-wrap: anywhere; }
+    ol.sources blockquote { margin: 0.3em 0 0.6em; }
+    img { max-width: 100%; height: auto; }
+    @media (prefers-color-scheme: dark) {
+      body { background: #191a1a; color: #e8e8e6; }
+      a { color: #3fb8c6; }
+      pre, :not(pre) > code, th { background: #232525; }
+      hr, th, td, blockquote, .frontmatter { border-color: #3a3d3d; }
+      blockquote, .frontmatter { color: #a3a7a8; }
+    }
+  `;
+
+  // Per-answer numbering repeats [1] in every Sources section, so point each citation at the section that follows it
+  function scopeSourceAnchors(html) {
+    const sections = html.split(/(?=<h3 class="sources">)/);
+    if (sections.length < 3) return html;
+
+    const scope = (part, section) => part.replace(/(href="#|id=")source-(\d+)"/g, `$1source-${section}-$2"`);
+    return sections
+      .map((part, i) => {
+        if (i === 0) return scope(part, 1);
+        // The section's own heading and (possibly grouped) lists, then text citing the next section
+        const [list] = part.match(/^<h3 class="sources">[\s\S]*?<\/h3>(?:\s*(?:<h4>[\s\S]*?<\/h4>|<ol class="sources">[\s\S]*?<\/ol>))*/);
+        return scope(list, i) + scope(part.slice(list.length), Math.min(i + 1, sections.length - 1));
+      })
+      .join("");
+  }
 
-    // Protect code blocks and tables from whitespace cleanup
-    const preserved = [];
-    text = text.replace(/```[\s\S]*?```/g, (match) => {
-      preserved.push(match);
-      return `%%PRESERVE_${preserved.length - 1}%%`;
-    });
-    text = text.replace(/\n\n(\|[^\n]+\n\|[^\n]+\n(?:\|[^\n]+\n?)*)/g, (_m, table) => {
-      preserved.push(table);
-      return `\n\n%%PRESERVE_${preserved.length - 1}%%`;
+  // A footnote cited more than once: the first reference keeps id="fnref-N" (the back link's target),
+  // later ones get "-r2", "-r3"… so ids stay unique (plain "-2" could be another footnote's label)
+  function numberRepeatFootnoteRefs(html) {
+    const counts = new Map();
+    return html.replace(/ id="fnref-([^"]+)"/g, (match, label) => {
+      const count = (counts.get(label) || 0) + 1;
+      counts.set(label, count);
+      return count === 1 ? match : ` id="fnref-${label}-r${count}"`;
     });
+  }
 
-    // Clean up whitespace (outside code blocks/tables)
-    text = text
-      .replace(/^[\s\n]+|[\s\n]+$/g, "")
-      .replace(/[ \t]+$/gm, "")
-      .trim();
+  // Wrap the exported markdown into a single self-contained HTML document
+  function buildHtmlDocument(markdown, title) {
+    const { fields, body } = splitFrontmatter(markdown);
 
-    // Handle newline spacing based on user preference
-    const prefs = getPreferences();
-    if (prefs.addExtraNewlines) {
-      text = text.replace(/\n{3,}/g, "\n\n");
-    } else {
-      text = text
-        .replace(/\n+/g, "\n")
-        .replace(/\n\s*\n/g, "\n");
+    let header = "";
+    if (fields.length > 0) {
+      const rows = fields.map(({ key, value }) => {
+        const rendered = /^https?:\/\//.test(value) ? `<a href="${escapeHtml(value)}">${escapeHtml(value)}</a>` : escapeHtml(value);
+        return `<dt>${escapeHtml(key)}</dt><dd>${rendered}</dd>`;
+      });
+      header = `<header class="frontmatter">\n<dl>\n${rows.join("\n")}\n</dl>\n</header>\n`;
     }
 
-    // Restore code blocks and tables (tables get blank line before them)
-    preserved.forEach((block, i) => {
-      const isTable = block.startsWith("|");
-      text = text.replace(`%%PRESERVE_${i}%%`, isTable ? `\n${block.trimEnd()}` : block);
+    const metaTags = fields
+      .filter(({ key }) => key === "date" || key === "source")
+      .map(({ key, value }) => `<meta name="${escapeHtml(key)}" content="${escapeHtml(value)}">`)
+      .join("\n");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+${metaTags}
+<style>${HTML_EXPORT_STYLES}</style>
+</head>
+<body>
+<article>
+${header}${scopeSourceAnchors(numberRepeatFootnoteRefs(markdownToHtml(body)))}
+</article>
+</body>
+</html>
+`;
+  }
+
+  // Serialize the extracted conversation and citation registry (schema documented in README)
+  function buildJsonExport(conversations, { title, deepResearch = false }) {
+    const prefs = getPreferences();
+
+    let turn = 0;
+    const resolved = resolveConversationCitations(conversations, prefs.citationStyle);
+    const messages = resolved.messages.map((conv, index) => {
+      if (conv.role === "User" || turn === 0) turn++;
+      const message = { index, turn, role: conv.role, content: conv.content.trim() };
+      if (conv.deepResearch) message.deepResearch = true;
+      // Cited numbers in reading order; per-answer numbering shows citations[n - 1] as n
+      if (conv.cited.length > 0) message.citations = conv.cited;
+      return message;
     });
 
-    if (citationStyle === CITATION_STYLES.INLINE || citationStyle === CITATION_STYLES.PARENTHESIZED) {
-      // Remove extraneous space before a period, but preserve newlines
-      text = text.replace(/ (?=\.)/g, "");
+    const citations = [];
+    for (const [number, ref] of resolved.numbering.sources()) {
+      const citation = { number, href: ref.href, sourceName: ref.sourceName || null, normalizedUrl: ref.normalizedUrl };
+      for (const field of SOURCE_METADATA_FIELDS) citation[field] = ref[field] || null;
+      if (prefs.archiveLinks) citation.archiveUrl = getArchiveUrl(ref.href);
+      citations.push(citation);
     }
 
-    // Endnotes/footnotes are appended at document level by formatMarkdown using globalCitations
-
-    return text;
+    const output = {
+      schemaVersion: JSON_EXPORT_SCHEMA_VERSION,
+      generator: "pplxport",
+      thread: {
+        title,
+        url: window.location.href,
+        exportedAt: new Date().toISOString(),
+        deepResearch,
+      },
+      settings: {
+        citationStyle: prefs.citationStyle,
+        citationScope: prefs.citationScope,
+        formatStyle: prefs.formatStyle,
+        extractionMethod: prefs.extractionMethod,
+      },
+      messages,
+      citations,
+    };
+    return JSON.stringify(output, null, 2);
   }
 
-  // Format the complete markdown document
-  function formatMarkdown(conversations) {
-    const title = document.title.replace(" | Perplexity", "").trim();
-    const timestamp = new Date().toISOString().split("T")[0];
-    const prefs = getPreferences();
+  // Escape LaTeX specials inside a braced BibTeX field value
+  function escapeBibtex(text) {
+    return String(text)
+      .replace(/\\/g, "\\textbackslash{}")
+      .replace(/([{}&%$#_])/g, "\\$1")
+      .replace(/~/g, "\\textasciitilde{}")
+      .replace(/\^/g, "\\textasciicircum{}");
+  }
 
-    const gap = prefs.addExtraNewlines ? "\n\n" : "\n";
-    const rule = "***";
-    let markdown = "";
+  // Every cited source as a BibTeX @misc entry, keyed like the Pandoc citations
+  function buildBibtexExport() {
+    const accessedOn = new Date().toISOString().split("T")[0];
+    const entries = [];
+
+    for (const [number, ref] of globalCitations.citationRefs) {
+      const published = parseSourceDate(ref.publishedDate);
+      const fields = [["title", ref.title ? escapeBibtex(ref.title) : escapeBibtex(getSourceSite(ref) || ref.href)]];
+      if (ref.author) fields.push(["author", escapeBibtex(ref.author)]);
+      const site = getSourceSite(ref);
+      if (site) fields.push(["howpublished", escapeBibtex(site)]);
+      if (published) {
+        fields.push(["year", String(published.year)]);
+        if (published.month != null) fields.push(["month", MONTH_NAMES[published.month].slice(0, 3).toLowerCase()]);
+      }
+      fields.push(["url", ref.href]);
+      fields.push(["urldate", accessedOn]);
 
-    if (prefs.includeFrontmatter) {
-      markdown += `---\ntitle: ${title}\ndate: ${timestamp}\nsource: ${window.location.href}\n---${gap}`;
+      const body = fields
+        .map(([name, value]) => (name === "month" ? `  ${name} = ${value}` : `  ${name} = {${value}}`))
+        .join(",\n");
+      entries.push(`@misc{${globalCitations.getCitationKey(number)},\n${body}\n}`);
     }
 
-    if (prefs.titleAsH1) {
-      markdown += `# ${title}${gap}`;
-    }
+    return entries.join("\n\n") + "\n";
+  }
 
-    function compactContent(text) {
-      if (prefs.addExtraNewlines) return text;
-      // Protect code blocks and tables, then collapse extra newlines
-      const preserved = [];
-      let result = text.replace(/```[\s\S]*?```/g, (match) => {
-        preserved.push({ content: match, isTable: false });
-        return `%%COMPACT_${preserved.length - 1}%%`;
-      });
-      result = result.replace(/\n\n(\|[^\n]+\n\|[^\n]+\n(?:\|[^\n]+\n?)*)/g, (_m, table) => {
-        preserved.push({ content: table, isTable: true });
-        return `\n\n%%COMPACT_${preserved.length - 1}%%\n`;
-      });
-      result = result.replace(/\n+/g, "\n").replace(/\n\s*\n/g, "\n");
-      preserved.forEach(({ content, isTable }, i) => {
-        result = result.replace(`%%COMPACT_${i}%%`, isTable ? `\n${content.trimEnd()}` : content);
-      });
-      return result;
+  // Every cited source as a CSL-JSON item (Zotero, Pandoc, citeproc)
+  function buildCslItems() {
+    const now = new Date();
+    const items = [];
+
+    for (const [number, ref] of globalCitations.citationRefs) {
+      const item = {
+        id: globalCitations.getCitationKey(number),
+        type: "webpage",
+        title: ref.title || getSourceSite(ref) || ref.href,
+        URL: ref.href,
+        accessed: { "date-parts": [[now.getFullYear(), now.getMonth() + 1, now.getDate()]] },
+      };
+      const site = getSourceSite(ref);
+      if (site) item["container-title"] = site;
+      if (ref.author) item.author = [{ literal: ref.author }];
+      const published = parseSourceDate(ref.publishedDate);
+      if (published) {
+        const parts = [published.year];
+        if (published.month != null) parts.push(published.month + 1);
+        if (published.day) parts.push(published.day);
+        item.issued = { "date-parts": [parts] };
+      }
+      if (ref.snippet) item.abstract = ref.snippet;
+      items.push(item);
     }
 
-    conversations.forEach((conv, index) => {
-      if (conv.role === "Assistant") {
-        let cleanContent = indentListContinuations(compactContent(conv.content.trim()));
+    return items;
+  }
 
-        if (cleanContent.match(/^#+ /) && prefs.formatStyle === FORMAT_STYLES.FULL) {
-          markdown += `**${conv.role}:**${gap}${cleanContent}${gap}`;
-        } else if (prefs.formatStyle === FORMAT_STYLES.FULL) {
-          markdown += `**${conv.role}:** ${cleanContent}${gap}`;
-        } else {
-          markdown += `${cleanContent}${gap}`;
-        }
+  // Convert the assembled export into the user's selected output format
+  function renderExportOutput(markdown, { title, conversations, deepResearch = false }, outputFormat) {
+    if (outputFormat === OUTPUT_FORMATS.HTML) {
+      return buildHtmlDocument(markdown, title);
+    }
+    if (outputFormat === OUTPUT_FORMATS.JSON) {
+      return buildJsonExport(conversations, { title, deepResearch });
+    }
+    if (outputFormat === OUTPUT_FORMATS.BIBTEX) {
+      return buildBibtexExport();
+    }
+    if (outputFormat === OUTPUT_FORMATS.CSL_JSON) {
+      return JSON.stringify(buildCslItems(), null, 2);
+    }
+    return markdown;
+  }
 
-        const nextAssistant = conversations.slice(index + 1).find((c) => c.role === "Assistant");
-        if (nextAssistant) {
-          markdown += `${rule}${gap}`;
-        }
-      } else if (conv.role === "User" && prefs.formatStyle === FORMAT_STYLES.FULL) {
-        markdown += `**${conv.role}:** ${conv.content.trim()}${gap}${rule}${gap}`;
-      }
-    });
+  // ============================================================================
+  // ZIP BUNDLE
+  // ============================================================================
+
+  let crc32Table = null;
 
-    if (prefs.citationStyle === CITATION_STYLES.ENDNOTES && globalCitations.citationRefs.size > 0) {
-      markdown += `${gap}### Sources\n`;
-      for (const [number, { href }] of globalCitations.citationRefs) {
-        markdown += `[${number}] ${href}\n`;
+  function crc32(bytes) {
+    if (!crc32Table) {
+      crc32Table = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        crc32Table[n] = c >>> 0;
       }
     }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
 
-    if (prefs.citationStyle === CITATION_STYLES.FOOTNOTES && globalCitations.citationRefs.size > 0) {
-      markdown += '\n\n';
-      for (const [number, { href }] of globalCitations.citationRefs) {
-        markdown += `[^${number}]: ${href}\n`;
-      }
+  // Build a zip of { name, content } entries (content: string, Blob or Uint8Array).
+  // Entries are stored uncompressed - images are already compressed and the text is small
+  async function buildZip(entries) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    for (const entry of entries) {
+      const name = encoder.encode(entry.name);
+      const data =
+        typeof entry.content === "string"
+          ? encoder.encode(entry.content)
+          : entry.content instanceof Uint8Array
+            ? entry.content
+            : new Uint8Array(await entry.content.arrayBuffer());
+      const crc = crc32(data);
+
+      // Shared by the local header (from offset 4) and the central directory entry (from offset 6)
+      const fields = (view, at) => {
+        view.setUint16(at, 20, true); // version needed
+        view.setUint16(at + 2, 0x0800, true); // UTF-8 file names
+        view.setUint16(at + 4, 0, true); // stored
+        view.setUint16(at + 6, dosTime, true);
+        view.setUint16(at + 8, dosDate, true);
+        view.setUint32(at + 10, crc, true);
+        view.setUint32(at + 14, data.length, true);
+        view.setUint32(at + 18, data.length, true);
+        view.setUint16(at + 22, name.length, true);
+      };
+
+      const local = new Uint8Array(30 + name.length);
+      const localView = new DataView(local.buffer);
+      localView.setUint32(0, 0x04034b50, true);
+      fields(localView, 4);
+      local.set(name, 30);
+      parts.push(local, data);
+
+      const header = new Uint8Array(46 + name.length);
+      const headerView = new DataView(header.buffer);
+      headerView.setUint32(0, 0x02014b50, true);
+      headerView.setUint16(4, 20, true); // version made by
+      fields(headerView, 6);
+      headerView.setUint32(42, offset, true);
+      header.set(name, 46);
+      central.push(header);
+
+      offset += local.length + data.length;
     }
 
-    return markdown.trim(); // Trim any trailing whitespace at the very end
+    const centralSize = central.reduce((sum, header) => sum + header.length, 0);
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, 0x06054b50, true);
+    endView.setUint16(8, entries.length, true);
+    endView.setUint16(10, entries.length, true);
+    endView.setUint32(12, centralSize, true);
+    endView.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type: "application/zip" });
   }
 
   // ============================================================================
   // UI FUNCTIONS
   // ============================================================================
 
-  // Download markdown file
-  function downloadMarkdown(content, filename) {
-    const blob = new Blob([content], { type: "text/markdown" });
+  // Download export file
+  function downloadFile(content, filename, mimeType = "text/markdown") {
+    const blob = new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
@@ -2426,6 +4568,10 @@
     URL.revokeObjectURL(url);
   }
 
+  function downloadTableFiles() {
+    for (const file of tableMarkers.files()) downloadFile(file.content, file.name, file.mimeType);
+  }
+
   // Copy to clipboard
   async function copyToClipboard(content) {
     try {
@@ -2564,7 +4710,13 @@
 
     function updateExportButtonLabel() {
       const prefs = getPreferences();
-      const label = prefs.exportMethod === EXPORT_METHODS.CLIPBOARD ? "Copy as Markdown" : "Save as Markdown";
+      const formatLabel = OUTPUT_FORMAT_LABELS[prefs.outputFormat] || OUTPUT_FORMAT_LABELS[OUTPUT_FORMATS.MARKDOWN];
+      const label =
+        prefs.exportMethod === EXPORT_METHODS.CLIPBOARD
+          ? `Copy as ${formatLabel}`
+          : prefs.exportMethod === EXPORT_METHODS.BUNDLE
+            ? `Bundle as ${formatLabel}`
+            : `Save as ${formatLabel}`;
       exportButton.textContent = label;
     }
 
@@ -2741,6 +4893,36 @@
       sectionEl.appendChild(group);
     }
 
+    function appendTextInput(sectionEl, label, value, onChange, tooltip, placeholder) {
+      const group = document.createElement("label");
+      group.style.cssText = "display: flex; flex-direction: column; gap: 4px; font-size: 12px; font-weight: 600; color: #b8bdc2;";
+      group.textContent = label;
+      if (tooltip) group.setAttribute("title", tooltip);
+
+      const input = document.createElement("input");
+      input.type = "text";
+      input.value = value;
+      input.spellcheck = false;
+      if (placeholder) input.placeholder = placeholder;
+      input.style.cssText = `
+                padding: 6px 8px;
+                border-radius: 6px;
+                border: 1px solid rgba(255, 255, 255, 0.14);
+                background-color: rgba(255, 255, 255, 0.06);
+                color: #ffffff;
+                font-size: 11px;
+                font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+            `;
+      input.addEventListener("input", () => onChange(input.value));
+      // Keep Perplexity's keyboard shortcuts from reacting while typing
+      input.addEventListener("keydown", (event) => {
+        if (event.key !== "Escape") event.stopPropagation();
+      });
+
+      group.appendChild(input);
+      sectionEl.appendChild(group);
+    }
+
     function renderOptionsMenu() {
       const prefs = getPreferences();
       menu.innerHTML = "";
@@ -2764,12 +4946,169 @@
           { label: "Inline", value: CITATION_STYLES.INLINE, tooltip: CITATION_STYLE_DESCRIPTIONS[CITATION_STYLES.INLINE] },
           { label: "Parenthesized", value: CITATION_STYLES.PARENTHESIZED, tooltip: CITATION_STYLE_DESCRIPTIONS[CITATION_STYLES.PARENTHESIZED] },
           { label: "Named", value: CITATION_STYLES.NAMED, tooltip: CITATION_STYLE_DESCRIPTIONS[CITATION_STYLES.NAMED] },
+          { label: "Pandoc", value: CITATION_STYLES.PANDOC, tooltip: CITATION_STYLE_DESCRIPTIONS[CITATION_STYLES.PANDOC] },
+          { label: "Custom", value: CITATION_STYLES.CUSTOM, tooltip: CITATION_STYLE_DESCRIPTIONS[CITATION_STYLES.CUSTOM] },
           { label: "No Citations", value: CITATION_STYLES.NONE, tooltip: CITATION_STYLE_DESCRIPTIONS[CITATION_STYLES.NONE] },
         ],
         prefs.citationStyle,
         (next) => GM_setValue("citationStyle", next)
       );
 
+      if (prefs.citationStyle === CITATION_STYLES.CUSTOM) {
+        appendTextInput(
+          citationSection,
+          "Template",
+          prefs.customCitationTemplate,
+          (next) => GM_setValue("customCitationTemplate", next),
+          "Placeholders: {n} number, {url} link, {domain} site label, {title} page title, {site} site name, {key} citation key",
+          DEFAULT_CUSTOM_CITATION_TEMPLATE
+        );
+        appendTextInput(
+          citationSection,
+          "Joiner for adjacent citations",
+          prefs.customCitationJoiner,
+          (next) => GM_setValue("customCitationJoiner", next),
+          "Text placed between citations in a run like [1][2][3] (leave empty to butt them together)",
+          "e.g. , or a space"
+        );
+      }
+
+      appendOptionGroup(
+        citationSection,
+        "Reference Format",
+        [
+          { label: "Basic", value: REFERENCE_FORMATS.BASIC, tooltip: "Title — site — URL" },
+          { label: "APA", value: REFERENCE_FORMATS.APA, tooltip: "APA 7th edition web references" },
+          { label: "MLA", value: REFERENCE_FORMATS.MLA, tooltip: "MLA 9th edition works cited entries" },
+          { label: "Chicago", value: REFERENCE_FORMATS.CHICAGO, tooltip: "Chicago notes-bibliography style" },
+        ],
+        prefs.referenceFormat,
+        (next) => GM_setValue("referenceFormat", next),
+        "How sources are written in the Endnotes and Footnotes lists",
+        4
+      );
+
+      appendOptionGroup(
+        citationSection,
+        "Snippets",
+        [
+          { label: "Hide", value: false, tooltip: "Sources list only" },
+          { label: "Quote", value: true, tooltip: "Quote the text Perplexity cited from each source under its entry" },
+        ],
+        prefs.includeSnippets,
+        (next) => GM_setValue("includeSnippets", next),
+        "Supporting snippet quotes under each Endnotes/Footnotes entry, so exports can be checked offline"
+      );
+
+      appendOptionGroup(
+        citationSection,
+        "Passage Links",
+        [
+          { label: "Page", value: false, tooltip: "Citations link to the source page" },
+          { label: "Text Fragment", value: true, tooltip: "Citations link to the cited passage with a #:~:text= fragment built from the snippet" },
+        ],
+        prefs.textFragmentLinks,
+        (next) => GM_setValue("textFragmentLinks", next),
+        "Jump straight to the supporting passage in browsers that support text fragments"
+      );
+
+      appendOptionGroup(
+        citationSection,
+        "Archive Links",
+        [
+          { label: "Off", value: false, tooltip: "Sources list only the original links" },
+          { label: "Wayback", value: true, tooltip: "Add a web.archive.org link dated to the export next to every source" },
+        ],
+        prefs.archiveLinks,
+        (next) => GM_setValue("archiveLinks", next),
+        "Fallback links for when cited pages disappear"
+      );
+
+      appendOptionGroup(
+        citationSection,
+        "Video Thumbnails",
+        [
+          { label: "Off", value: false },
+          { label: "Show", value: true, tooltip: "Add a thumbnail image, linked to the video, after every video source" },
+        ],
+        prefs.videoThumbnails,
+        (next) => GM_setValue("videoThumbnails", next),
+        "Thumbnails for YouTube, Vimeo and other video sources in the Sources list"
+      );
+
+      appendOptionGroup(
+        citationSection,
+        "Statistics",
+        [
+          { label: "Off", value: false },
+          { label: "Appendix", value: true, tooltip: "Append citation counts per source and per domain, and which answers each source supports" },
+        ],
+        prefs.includeCitationStats,
+        (next) => GM_setValue("includeCitationStats", next),
+        "See at a glance whether the answers lean on a handful of sources"
+      );
+
+      appendOptionGroup(
+        citationSection,
+        "Numbering",
+        [
+          { label: CITATION_SCOPE_LABELS[CITATION_SCOPES.GLOBAL], value: CITATION_SCOPES.GLOBAL, tooltip: "One numbering with all sources at the end" },
+          { label: CITATION_SCOPE_LABELS[CITATION_SCOPES.PER_TURN], value: CITATION_SCOPES.PER_TURN, tooltip: "Each answer restarts at 1 with its sources beneath it" },
+        ],
+        prefs.citationScope,
+        (next) => GM_setValue("citationScope", next),
+        "Whether citation numbers run across the whole thread or restart for every answer"
+      );
+
+      appendOptionGroup(
+        citationSection,
+        "Sources Layout",
+        [
+          { label: SOURCES_GROUPING_LABELS[SOURCES_GROUPINGS.FLAT], value: SOURCES_GROUPINGS.FLAT, tooltip: "One list in citation order" },
+          { label: SOURCES_GROUPING_LABELS[SOURCES_GROUPINGS.DOMAIN], value: SOURCES_GROUPINGS.DOMAIN, tooltip: "A subheading per site, sites in alphabetical order" },
+          { label: SOURCES_GROUPING_LABELS[SOURCES_GROUPINGS.TURN], value: SOURCES_GROUPINGS.TURN, tooltip: "A subheading per question, holding the sources its answer cites first" },
+        ],
+        prefs.sourcesGrouping,
+        (next) => GM_setValue("sourcesGrouping", next),
+        "How the Endnotes Sources list is organized; numbers stay the same either way",
+        3
+      );
+
+      appendOptionGroup(
+        citationSection,
+        "Additional Sources",
+        [
+          { label: ADDITIONAL_SOURCES_MODE_LABELS[ADDITIONAL_SOURCES_MODES.OFF], value: ADDITIONAL_SOURCES_MODES.OFF, tooltip: "Only list cited sources" },
+          { label: ADDITIONAL_SOURCES_MODE_LABELS[ADDITIONAL_SOURCES_MODES.PER_TURN], value: ADDITIONAL_SOURCES_MODES.PER_TURN, tooltip: "List each answer's uncited sources beneath it" },
+          { label: ADDITIONAL_SOURCES_MODE_LABELS[ADDITIONAL_SOURCES_MODES.DOCUMENT], value: ADDITIONAL_SOURCES_MODES.DOCUMENT, tooltip: "One list of uncited sources at the end" },
+        ],
+        prefs.additionalSources,
+        (next) => GM_setValue("additionalSources", next),
+        "Sources Perplexity searched but didn't cite, listed separately from the numbered citations",
+        3
+      );
+
+      appendOptionGroup(
+        citationSection,
+        "Tracking Params",
+        [
+          { label: "Keep", value: false, tooltip: "Links are written exactly as Perplexity cited them" },
+          { label: "Strip", value: true, tooltip: "Remove utm_*, fbclid and similar tracking params from links" },
+        ],
+        prefs.stripTrackingParams,
+        (next) => GM_setValue("stripTrackingParams", next),
+        "Tracking params are always ignored when matching duplicate sources"
+      );
+
+      appendTextInput(
+        citationSection,
+        "Params to Keep",
+        prefs.keepUrlParams,
+        (next) => GM_setValue("keepUrlParams", next),
+        "Comma-separated query params that are never treated as tracking, e.g. ref_src",
+        "e.g. ref_src, spm"
+      );
+
       menu.appendChild(citationSection);
 
       const outputSection = document.createElement("div");
@@ -2840,29 +5179,73 @@
       exportHeading.style.cssText = "font-size: 13px; font-weight: 700; color: #e8e8e7;";
       exportSection.appendChild(exportHeading);
 
+      appendOptionGroup(
+        exportSection,
+        "File Format",
+        [
+          { label: "Markdown", value: OUTPUT_FORMATS.MARKDOWN, tooltip: "Plain .md file" },
+          { label: "HTML", value: OUTPUT_FORMATS.HTML, tooltip: "Single self-contained .html page with inline styles and linked citations" },
+          { label: "JSON", value: OUTPUT_FORMATS.JSON, tooltip: "Structured messages and citation registry for scripting" },
+          { label: "BibTeX", value: OUTPUT_FORMATS.BIBTEX, tooltip: "Bibliography of every cited source as a .bib file (LaTeX, Pandoc, Zotero)" },
+          { label: "CSL-JSON", value: OUTPUT_FORMATS.CSL_JSON, tooltip: "Bibliography of every cited source as CSL-JSON (Zotero, Pandoc, citeproc)" },
+        ],
+        prefs.outputFormat,
+        (next) => GM_setValue("outputFormat", next),
+        null,
+        3
+      );
+
       appendOptionGroup(
         exportSection,
         "Output Method",
         [
           { label: "Download File", value: EXPORT_METHODS.DOWNLOAD },
           { label: "Copy to Clipboard", value: EXPORT_METHODS.CLIPBOARD },
+          { label: "Bundle (.zip)", value: EXPORT_METHODS.BUNDLE, tooltip: "A zip of the export with its images, table files and Perplexity-hosted files, linked by relative paths" },
         ],
         prefs.exportMethod,
         (next) => GM_setValue("exportMethod", next)
       );
 
+      appendOptionGroup(
+        exportSection,
+        "Table Files",
+        [
+          { label: TABLE_FILE_FORMAT_LABELS[TABLE_FILE_FORMATS.OFF], value: TABLE_FILE_FORMATS.OFF, tooltip: "Tables only appear in the export itself" },
+          { label: TABLE_FILE_FORMAT_LABELS[TABLE_FILE_FORMATS.CSV], value: TABLE_FILE_FORMATS.CSV, tooltip: "Comma-separated, opens directly in Excel and Google Sheets" },
+          { label: TABLE_FILE_FORMAT_LABELS[TABLE_FILE_FORMATS.TSV], value: TABLE_FILE_FORMATS.TSV, tooltip: "Tab-separated, pastes cleanly into any spreadsheet" },
+        ],
+        prefs.tableFiles,
+        (next) => GM_setValue("tableFiles", next),
+        "Save each answer table as its own spreadsheet file, linked from the export (downloads and bundles only)",
+        3
+      );
+
+      appendOptionGroup(
+        exportSection,
+        "Images",
+        [
+          { label: IMAGE_MODE_LABELS[IMAGE_MODES.OFF], value: IMAGE_MODES.OFF, tooltip: "Drop images from answers" },
+          { label: IMAGE_MODE_LABELS[IMAGE_MODES.LINK], value: IMAGE_MODES.LINK, tooltip: "Markdown images pointing at the original URLs" },
+          { label: IMAGE_MODE_LABELS[IMAGE_MODES.EMBED], value: IMAGE_MODES.EMBED, tooltip: "Download each image into the export as a data URI (Markdown and HTML), so it works offline. Bundle exports save images as files in the zip instead" },
+        ],
+        prefs.imageMode,
+        (next) => GM_setValue("imageMode", next),
+        "Images shown in answers and their image results",
+        3
+      );
+
       appendOptionGroup(
         exportSection,
         "Extraction Method",
         [
           { label: "Export", value: EXTRACTION_METHODS.EXPORT, tooltip: "Likely to be most reliable, gets all citations. Intercepts Perplexity's Export as Markdown." },
           { label: "Direct", value: EXTRACTION_METHODS.DIRECT_DOM, tooltip: "Parses the content directly, may break with site tweaks. Needs to scroll the page to load all content." },
-          { label: "Copy", value: EXTRACTION_METHODS.COPY_BUTTONS, tooltip: "Requires clipboard permissions, scrolls the page to load all content. Currently degraded (requires DOM parsing, misses YouTube citations)." },
+          { label: "Copy", value: EXTRACTION_METHODS.COPY_BUTTONS, tooltip: "Requires clipboard permissions, scrolls the page to load all content. Currently degraded (requires DOM parsing)." },
+          { label: "State", value: EXTRACTION_METHODS.THREAD_STATE, tooltip: "Reads the thread's own data (answer markdown and sources) from the page, no scrolling. Relies on Perplexity internals that may change." },
         ],
         prefs.extractionMethod,
-        (next) => GM_setValue("extractionMethod", next),
-        null,
-        3
+        (next) => GM_setValue("extractionMethod", next)
       );
 
       menu.appendChild(exportSection);
@@ -3060,75 +5443,130 @@
           await copyWithQueuedFocus();
           return;
         }
+        citationMarkers.reset();
+        resetExportPreferences();
 
         const title = document.title.replace(" | Perplexity", "").replace(/ - Perplexity$/, "").trim();
         const safeTitle = title
           .toLowerCase()
           .replace(/[^a-z0-9]+/g, " ")
           .replace(/^-+|-+$/g, "");
-        const filename = `${safeTitle}.md`;
+        const outputFile = OUTPUT_FORMAT_FILES[prefs.outputFormat] || OUTPUT_FORMAT_FILES[OUTPUT_FORMATS.MARKDOWN];
+        const filename = `${safeTitle}.${outputFile.extension}`;
+        const bundles = prefs.exportMethod === EXPORT_METHODS.BUNDLE;
+        // Table files sit next to a downloaded document that links to them; a copied export has nowhere to put them
+        const writesTableFiles =
+          prefs.tableFiles !== TABLE_FILE_FORMATS.OFF &&
+          prefs.exportMethod !== EXPORT_METHODS.CLIPBOARD &&
+          [OUTPUT_FORMATS.MARKDOWN, OUTPUT_FORMATS.HTML, OUTPUT_FORMATS.JSON].includes(prefs.outputFormat);
+        tableMarkers.reset(writesTableFiles ? { baseName: safeTitle, format: prefs.tableFiles, directory: bundles ? "tables/" : "" } : {});
+        // Images and linked files are only carried by documents that render them
+        const rendersAssets = [OUTPUT_FORMATS.MARKDOWN, OUTPUT_FORMATS.HTML].includes(prefs.outputFormat);
+        let bundledFiles = [];
+        const withAssets = async (markdown) => {
+          if (!rendersAssets) return markdown;
+          if (bundles) {
+            exportButton.textContent = "Bundling files...";
+            const bundled = await bundleMarkdownAssets(markdown);
+            bundledFiles = bundled.files;
+            return bundled.markdown;
+          }
+          if (prefs.imageMode !== IMAGE_MODES.EMBED) return markdown;
+          exportButton.textContent = "Embedding images...";
+          return embedMarkdownImages(markdown);
+        };
+        const saveOutput = async (output) => {
+          if (prefs.exportMethod === EXPORT_METHODS.CLIPBOARD) {
+            keepClipboardStatus = true;
+            await copyWithQueuedFocus(output);
+          } else if (bundles) {
+            const zip = await buildZip([{ name: filename, content: output }, ...tableMarkers.files(), ...bundledFiles]);
+            downloadFile(zip, `${safeTitle}.zip`, "application/zip");
+          } else {
+            downloadFile(output, filename, outputFile.mimeType);
+            downloadTableFiles();
+          }
+        };
 
         if (isDeepResearch()) {
           const isFull = prefs.formatStyle === FORMAT_STYLES.FULL;
 
-          // Get DR report (skip citation appendix in full mode - citations go at end)
-          const drMarkdown = await exportDeepResearch({ appendCitations: !isFull });
+          // Get DR report (skip citation appendix in full mode - citations go at end, and in JSON,
+          // whose citations come from the registry like any other thread)
+          const drMarkdown = await exportDeepResearch({ appendCitations: !isFull && prefs.outputFormat !== OUTPUT_FORMATS.JSON });
           if (!drMarkdown) {
             alert("Failed to export deep research content. Please try again.");
             return;
           }
 
           let markdown;
+          const drMessage = { role: "Assistant", content: splitFrontmatter(drMarkdown).body, deepResearch: true };
+          let messages = [drMessage];
           if (isFull) {
             // Full mode: [user][dr][assistant...][citations]
             // Save DR citations before extractConversation resets globalCitations
             const drCitations = globalCitations.save();
+            const drMarkerCount = citationMarkers.runs.length;
             const conversation = await extractConversation(prefs.citationStyle);
-            // Merge DR citations back so formatMarkdown includes them
-            globalCitations.merge(drCitations);
+            // Merge DR citations back and point the report's citations at their merged numbers
+            citationMarkers.remap(globalCitations.merge(drCitations), drMarkerCount);
             const firstUserIdx = conversation.findIndex(c => c.role === 'User');
             const userMsg = firstUserIdx >= 0 ? conversation[firstUserIdx] : null;
             const rest = firstUserIdx >= 0 ? conversation.filter((_, i) => i !== firstUserIdx) : conversation;
+            messages = userMsg ? [userMsg, drMessage, ...rest] : [drMessage, ...rest];
 
             const gap = prefs.addExtraNewlines ? '\n\n' : '\n';
+            const withSources = (sourcesBlock) => (prefs.citationStyle === CITATION_STYLES.FOOTNOTES ? `\n${sourcesBlock}` : sourcesBlock);
             let parts = [];
-            if (userMsg) parts.push(`**User:** ${userMsg.content.trim()}${gap}***`);
-            parts.push(drMarkdown);
-            if (rest.length > 0) {
-              const convBody = rest.map(c => {
+            // Frontmatter is rebuilt at the top once every citation (DR + conversation) is registered
+            if (prefs.includeFrontmatter || prefs.citationStyle === CITATION_STYLES.PANDOC) {
+              parts.push(buildFrontmatter(getDeepResearchTitle(drMessage.content), prefs.citationStyle));
+            }
+
+            const resolution = resolveConversationCitations(messages, prefs.citationStyle);
+            const { messages: resolved, numbering, perTurn } = resolution;
+            const [resolvedUser, resolvedReport, resolvedRest] = userMsg
+              ? [resolved[0], resolved[1], resolved.slice(2)]
+              : [null, resolved[0], resolved.slice(1)];
+            const listedAdditional = new Set();
+            // Per-answer Sources and Additional Sources lists that go beneath one answer
+            const turnSources = (conv) => [
+              perTurn ? withSources(buildSourcesBlock(prefs.citationStyle, conv.numbering)) : '',
+              prefs.additionalSources === ADDITIONAL_SOURCES_MODES.PER_TURN ? buildAdditionalSourcesBlock(conv.consulted, listedAdditional) : '',
+            ].filter(block => block.trim()).join(gap);
+
+            if (resolvedUser) parts.push(`**User:** ${resolvedUser.content.trim()}${gap}***`);
+            parts.push(resolvedReport.content.trim());
+            const reportSources = turnSources(resolvedReport);
+            if (reportSources) parts.push(reportSources);
+            if (resolvedRest.length > 0) {
+              const convBody = resolvedRest.map(c => {
                 const text = c.content.trim();
-                return c.role === 'User'
-                  ? `**User:** ${text}${gap}***`
-                  : `**Assistant:** ${text}`;
+                if (c.role === 'User') return `**User:** ${text}${gap}***`;
+                const sourcesBlock = turnSources(c);
+                return sourcesBlock ? `**Assistant:** ${text}${gap}${sourcesBlock}` : `**Assistant:** ${text}`;
               }).join(gap);
               parts.push(`***${gap}${convBody}`);
             }
 
-            if (prefs.citationStyle === CITATION_STYLES.ENDNOTES && globalCitations.citationRefs.size > 0) {
-              let citBlock = `### Sources\n`;
-              for (const [number, { href }] of globalCitations.citationRefs) {
-                citBlock += `[${number}] ${href}\n`;
-              }
-              parts.push(citBlock);
-            } else if (prefs.citationStyle === CITATION_STYLES.FOOTNOTES && globalCitations.citationRefs.size > 0) {
-              let citBlock = '\n';
-              for (const [number, { href }] of globalCitations.citationRefs) {
-                citBlock += `[^${number}]: ${href}\n`;
-              }
-              parts.push(citBlock);
+            const sourcesBlock = perTurn ? '' : buildSourcesBlock(prefs.citationStyle, numbering, resolution);
+            if (sourcesBlock) {
+              parts.push(withSources(sourcesBlock));
+            }
+            if (prefs.additionalSources !== ADDITIONAL_SOURCES_MODES.OFF) {
+              const additionalBlock = buildAdditionalSourcesBlock(globalCitations.consulted.values(), listedAdditional);
+              if (additionalBlock) parts.push(additionalBlock);
             }
+            const statsBlock = prefs.includeCitationStats ? buildCitationStatsBlock(resolution) : '';
+            if (statsBlock) parts.push(statsBlock);
 
             markdown = parts.join(gap);
           } else {
             markdown = drMarkdown;
           }
 
-          if (prefs.exportMethod === EXPORT_METHODS.CLIPBOARD) {
-            keepClipboardStatus = true;
-            await copyWithQueuedFocus(markdown);
-          } else {
-            downloadMarkdown(markdown, filename);
-          }
+          markdown = await withAssets(markdown);
+          await saveOutput(renderExportOutput(markdown, { title, conversations: messages, deepResearch: true }, prefs.outputFormat));
           return;
         }
 
@@ -3139,14 +5577,8 @@
           return;
         }
 
-        const markdown = formatMarkdown(conversation);
-
-        if (prefs.exportMethod === EXPORT_METHODS.CLIPBOARD) {
-          keepClipboardStatus = true;
-          await copyWithQueuedFocus(markdown);
-        } else {
-          downloadMarkdown(markdown, filename);
-        }
+        const markdown = await withAssets(formatMarkdown(conversation));
+        await saveOutput(renderExportOutput(markdown, { title, conversations: conversation }, prefs.outputFormat));
       } catch (error) {
         console.error("Export failed:", error);
         alert("Export failed. Please try again.");